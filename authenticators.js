@@ -0,0 +1,130 @@
+/**
+ * Copyright 2023 Renze Nicolai
+ * SPDX-License-Identifier: MIT
+ */
+
+"use strict";
+
+const crypto = require("crypto");
+const util = require("util");
+
+const scrypt = util.promisify(crypto.scrypt);
+
+/*
+ * An authenticator verifies the credentials passed to the "session/login" method. An authenticator implements:
+ *  - name:                                         the value of the "provider" parameter selecting this authenticator
+ *  - authenticate(parameters, session, connection): returns (a promise for) the user account matching the credentials,
+ *                                                   or null when the credentials are invalid
+ */
+
+class PasswordAuthenticator {
+    constructor(opts = {}) {
+        this._opts = Object.assign({
+            name: "password",
+            lookup: null, // Function called as (username), returns (a promise for) { user, hash } or null when the user does not exist
+            cost: 16384, // CPU and memory cost of newly created hashes, must be a power of two
+            blockSize: 8,
+            parallelization: 1
+        }, opts);
+
+        if (typeof this._opts.lookup !== "function") {
+            throw Error("Expected the lookup option to be a function");
+        }
+
+        this.name = this._opts.name;
+
+        // Hash verified when the user does not exist, so that the duration of a login attempt does not reveal which usernames exist
+        this._dummyHash = null;
+    }
+
+    static async hashPassword(password, opts = {}) {
+        // Returns a hash for storing a password, in the form "scrypt$cost$blockSize$parallelization$salt$key"
+        opts = Object.assign({
+            cost: 16384,
+            blockSize: 8,
+            parallelization: 1
+        }, opts);
+        if (typeof password !== "string") {
+            throw Error("Expected the password to be a string");
+        }
+        let salt = crypto.randomBytes(16);
+        let key = await scrypt(password, salt, 64, { N: opts.cost, r: opts.blockSize, p: opts.parallelization, maxmem: 256 * opts.cost * opts.blockSize });
+        return ["scrypt", opts.cost, opts.blockSize, opts.parallelization, salt.toString("base64"), key.toString("base64")].join("$");
+    }
+
+    static async verifyPassword(password, hash) {
+        // Returns true when the password matches the hash
+        if ((typeof password !== "string") || (typeof hash !== "string")) {
+            return false;
+        }
+        let parts = hash.split("$");
+        if ((parts.length !== 6) || (parts[0] !== "scrypt")) {
+            return false;
+        }
+        let cost = Number(parts[1]);
+        let blockSize = Number(parts[2]);
+        let parallelization = Number(parts[3]);
+        let salt = Buffer.from(parts[4], "base64");
+        let expected = Buffer.from(parts[5], "base64");
+        if (expected.length === 0) {
+            return false;
+        }
+        try {
+            let key = await scrypt(password, salt, expected.length, { N: cost, r: blockSize, p: parallelization, maxmem: 256 * cost * blockSize });
+            return crypto.timingSafeEqual(key, expected);
+        } catch (error) {
+            // Hashes with invalid parameters, for example a cost which is not a power of two, don't match any password
+            return false;
+        }
+    }
+
+    // eslint-disable-next-line no-unused-vars
+    async authenticate(parameters, session, connection) {
+        if ((typeof parameters.username !== "string") || (typeof parameters.password !== "string")) {
+            return null;
+        }
+        let record = await this._opts.lookup(parameters.username);
+        if ((typeof record !== "object") || (record === null)) {
+            if (this._dummyHash === null) {
+                this._dummyHash = await PasswordAuthenticator.hashPassword(crypto.randomBytes(16).toString("base64"), this._opts);
+            }
+            await PasswordAuthenticator.verifyPassword(parameters.password, this._dummyHash);
+            return null;
+        }
+        if (!(await PasswordAuthenticator.verifyPassword(parameters.password, record.hash))) {
+            return null;
+        }
+        return record.user;
+    }
+}
+
+class ApiKeyAuthenticator {
+    constructor(opts = {}) {
+        this._opts = Object.assign({
+            name: "apikey",
+            lookup: null // Function called as (hash), with hash the result of hashKey(key), returns (a promise for) the user or null
+        }, opts);
+
+        if (typeof this._opts.lookup !== "function") {
+            throw Error("Expected the lookup option to be a function");
+        }
+
+        this.name = this._opts.name;
+    }
+
+    static hashKey(key) {
+        // Keys are looked up by their SHA-256 hash, so that the keys themselves don't have to be stored
+        return crypto.createHash("sha256").update(key).digest("hex");
+    }
+
+    // eslint-disable-next-line no-unused-vars
+    async authenticate(parameters, session, connection) {
+        if (typeof parameters.key !== "string") {
+            return null;
+        }
+        let user = await this._opts.lookup(ApiKeyAuthenticator.hashKey(parameters.key));
+        return (typeof user === "undefined") ? null : user;
+    }
+}
+
+module.exports = { PasswordAuthenticator, ApiKeyAuthenticator };
@@ -0,0 +1,243 @@
+/**
+ * Copyright 2023 Renze Nicolai
+ * SPDX-License-Identifier: MIT
+ */
+
+"use strict";
+
+const fs = require("fs");
+const net = require("net");
+
+/*
+ * A broker distributes push messages between session managers, usually running in different processes. A broker implements:
+ *  - publish(envelope):    sends an envelope (a plain object which can be converted to JSON) to the other session managers
+ *  - subscribe(handler):   registers a function which is called with every envelope received from other session managers
+ *  - unsubscribe(handler): removes a function registered using subscribe
+ *  - close():              stops the broker
+ *
+ * Envelopes may also be delivered to the handlers of the publishing session manager, the session manager ignores its own envelopes.
+ */
+
+class InProcessBroker {
+    // Distributes envelopes between session managers in the same process, intended for tests and single process setups
+
+    constructor() {
+        this._handlers = [];
+    }
+
+    publish(envelope) {
+        // Delivered asynchronously, like a broker connecting processes would
+        let data = JSON.stringify(envelope);
+        let handlers = this._handlers.slice();
+        setImmediate(() => {
+            for (let index = 0; index < handlers.length; index++) {
+                handlers[index](JSON.parse(data));
+            }
+        });
+    }
+
+    subscribe(handler) {
+        this._handlers.push(handler);
+    }
+
+    unsubscribe(handler) {
+        this._handlers = this._handlers.filter(item => item !== handler);
+    }
+
+    close() {
+        this._handlers = [];
+    }
+}
+
+class UnixSocketBroker {
+    // Distributes envelopes between processes on the same machine using a Unix socket. One process listens on the socket
+    // (the hub) and relays every envelope to the other processes, which connect to the socket and reconnect when the
+    // connection is lost. Envelopes are sent as lines of JSON.
+
+    constructor(opts = {}) {
+        this._opts = Object.assign({
+            path: "nicolai-jsonrpc.sock", // Path of the Unix socket
+            listen: false, // True for the process acting as hub, false for the processes connecting to the hub
+            reconnectInterval: 1000, // Interval in milliseconds at which a lost connection to the hub is restored
+            maxPending: 1000 // Maximum amount of envelopes kept while not connected to the hub, older envelopes are dropped
+        }, opts);
+
+        this._handlers = [];
+        this._closed = false;
+
+        // Hub: the server and the connected processes
+        this._server = null;
+        this._clients = [];
+
+        // Connecting process: the connection to the hub and the envelopes published while not connected
+        this._socket = null;
+        this._connected = false;
+        this._pending = [];
+        this._reconnectTimeout = null;
+
+        if (this._opts.listen) {
+            this._listen();
+        } else {
+            this._connect();
+        }
+    }
+
+    _readLines(socket, onLine) {
+        // Splits the data received on a socket into lines
+        let buffer = "";
+        socket.setEncoding("utf8");
+        socket.on("data", (chunk) => {
+            buffer += chunk;
+            let lines = buffer.split("\n");
+            buffer = lines.pop();
+            for (let index = 0; index < lines.length; index++) {
+                if (lines[index] !== "") {
+                    onLine(lines[index]);
+                }
+            }
+        });
+    }
+
+    _deliver(line) {
+        let envelope;
+        try {
+            envelope = JSON.parse(line);
+        } catch (error) {
+            console.error("Broker received an invalid envelope", error);
+            return;
+        }
+        for (let index = 0; index < this._handlers.length; index++) {
+            this._handlers[index](envelope);
+        }
+    }
+
+    _listen() {
+        if (!fs.existsSync(this._opts.path)) {
+            this._startServer();
+            return;
+        }
+        // The socket file exists: left behind by a hub which did not stop cleanly, or in use by a hub which is still running
+        let probe = net.createConnection(this._opts.path);
+        probe.on("connect", () => {
+            probe.destroy();
+            if (!this._closed) {
+                console.error("Broker can't listen on \"" + this._opts.path + "\", another hub is listening on it");
+            }
+        });
+        probe.on("error", (error) => {
+            if (this._closed) {
+                return;
+            }
+            if ((error.code !== "ECONNREFUSED") && (error.code !== "ENOENT")) {
+                console.error("Broker can't listen on \"" + this._opts.path + "\"", error);
+                return;
+            }
+            // Nothing listens on the socket, remove the file left behind
+            try {
+                fs.unlinkSync(this._opts.path);
+            } catch (unlinkError) {
+                if (unlinkError.code !== "ENOENT") {
+                    console.error("Broker can't remove \"" + this._opts.path + "\"", unlinkError);
+                    return;
+                }
+            }
+            this._startServer();
+        });
+    }
+
+    _startServer() {
+        this._server = net.createServer((socket) => {
+            this._clients.push(socket);
+            this._readLines(socket, (line) => {
+                // Relay to the other connected processes and deliver to this process
+                for (let index = 0; index < this._clients.length; index++) {
+                    if (this._clients[index] !== socket) {
+                        this._clients[index].write(line + "\n");
+                    }
+                }
+                this._deliver(line);
+            });
+            socket.on("close", () => {
+                this._clients = this._clients.filter(item => item !== socket);
+            });
+            socket.on("error", () => {
+                // Followed by the close event
+            });
+        });
+        this._server.on("error", (error) => {
+            console.error("Broker can't listen on \"" + this._opts.path + "\"", error);
+        });
+        this._server.listen(this._opts.path);
+    }
+
+    _connect() {
+        this._reconnectTimeout = null;
+        let socket = net.createConnection(this._opts.path);
+        this._socket = socket;
+        socket.on("connect", () => {
+            this._connected = true;
+            let pending = this._pending;
+            this._pending = [];
+            for (let index = 0; index < pending.length; index++) {
+                socket.write(pending[index]);
+            }
+        });
+        this._readLines(socket, this._deliver.bind(this));
+        socket.on("error", () => {
+            // Followed by the close event
+        });
+        socket.on("close", () => {
+            this._connected = false;
+            this._socket = null;
+            if (!this._closed) {
+                this._reconnectTimeout = setTimeout(this._connect.bind(this), this._opts.reconnectInterval);
+                this._reconnectTimeout.unref(); // Don't keep the process running just for reconnecting
+            }
+        });
+    }
+
+    publish(envelope) {
+        let line = JSON.stringify(envelope) + "\n";
+        if (this._opts.listen) {
+            for (let index = 0; index < this._clients.length; index++) {
+                this._clients[index].write(line);
+            }
+        } else if (this._connected) {
+            this._socket.write(line);
+        } else {
+            this._pending.push(line);
+            if (this._pending.length > this._opts.maxPending) {
+                this._pending.shift();
+            }
+        }
+    }
+
+    subscribe(handler) {
+        this._handlers.push(handler);
+    }
+
+    unsubscribe(handler) {
+        this._handlers = this._handlers.filter(item => item !== handler);
+    }
+
+    close() {
+        this._closed = true;
+        this._handlers = [];
+        if (this._reconnectTimeout !== null) {
+            clearTimeout(this._reconnectTimeout);
+            this._reconnectTimeout = null;
+        }
+        if (this._socket !== null) {
+            this._socket.end();
+        }
+        if (this._server !== null) {
+            for (let index = 0; index < this._clients.length; index++) {
+                this._clients[index].destroy();
+            }
+            this._server.close();
+            this._server = null;
+        }
+    }
+}
+
+module.exports = { InProcessBroker, UnixSocketBroker };
@@ -0,0 +1,57 @@
+"use strict";
+
+const { SessionManager } = require("../index.js");
+
+/* Measures the cost of looking up a session by its token for an increasing number of sessions,
+   the cost per lookup should stay (roughly) the same regardless of the number of sessions.
+   Exits with status 1 when the cost per lookup grows more than maxRatio times, run using "npm test" */
+
+const lookups = 100000;
+const rounds = 5; // The fastest round is used, which filters out delays caused by other processes
+const maxRatio = 10; // Allowed growth of the cost per lookup from the smallest to the largest amount of sessions, leaves room for cache effects while a linear search grows a hundredfold
+
+async function measure(amount) {
+    let sessionManager = new SessionManager({ timeout: 3600 });
+    let tokens = [];
+    for (let index = 0; index < amount; index++) {
+        tokens.push(await sessionManager.createSession(null, null));
+    }
+
+    let duration = Infinity;
+    for (let round = 0; round < rounds; round++) {
+        let start = process.hrtime.bigint();
+        for (let index = 0; index < lookups; index++) {
+            if (sessionManager.getSession(tokens[index % amount]) === null) {
+                throw new Error("Session not found");
+            }
+        }
+        duration = Math.min(duration, Number(process.hrtime.bigint() - start) / lookups);
+    }
+
+    let start = process.hrtime.bigint();
+    sessionManager._gc();
+    let gcDuration = Number(process.hrtime.bigint() - start) / 1000000;
+
+    sessionManager.close();
+    return { duration, gcDuration };
+}
+
+async function run() {
+    let durations = [];
+    for (let amount of [1000, 10000, 100000]) {
+        let { duration, gcDuration } = await measure(amount);
+        console.log(amount + " sessions: " + duration.toFixed(0) + " ns per lookup, " + gcDuration.toFixed(3) + " ms per garbage collection run");
+        durations.push(duration);
+    }
+    let ratio = durations[durations.length - 1] / durations[0];
+    if (ratio > maxRatio) {
+        console.error("Looking up a session became " + ratio.toFixed(1) + " times slower as the number of sessions grew, expected at most " + maxRatio + " times");
+        process.exit(1);
+    }
+    console.log("Cost per lookup grew " + ratio.toFixed(1) + " times, at most " + maxRatio + " times is allowed");
+}
+
+run().catch((error) => {
+    console.error(error);
+    process.exit(1);
+});
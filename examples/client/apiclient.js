@@ -8,6 +8,8 @@ class ApiClient {
         this._wsCallbacks = {};
         this._wsTimeouts = {};
         this._wsPushCallbacks = {};
+        this._pushSequences = {}; // Sequence number of the last push message received for each topic
+        this.onPushGap = null; // Called with the topic when push messages were missed which can not be replayed
         this.socket = null;
         this.onOpen = onOpen;
         this.onError = onError;
@@ -53,6 +55,7 @@ class ApiClient {
         clearTimeout(this.connectTimeout);
         clearTimeout(this.pingRequestTimeout);
         this.pingRequestTimeout = setTimeout(this._ping.bind(this), 1);
+        this._resumePush();
         if (typeof this.onOpen === "function") {
             this.onOpen();
         } else {
@@ -125,7 +128,11 @@ class ApiClient {
             if (this.session === null) {
                 throw "Session unavailable";
             }
-            this.request("authentication/login", {name: username, password: password}, (result, error) => {
+            this.request("session/login", {provider: "password", username: username, password: password}, (result, error) => {
+                if (result) {
+                    this.token = result.token;
+                    this._storeCookie({"session": this.token});
+                }
                 this._ping();
                 if (typeof callback === "function") {
                     callback(result, error);
@@ -198,11 +205,12 @@ class ApiClient {
                 if (typeof message.error === "undefined") message.error = null;
             }
             if ((typeof message.pushMessage === "boolean") && (message.pushMessage)) {
-                if (message.subject in this._wsPushCallbacks) {
-                    let callbacks = this._wsPushCallbacks[message.subject];
-                    for (let index = 0; index < callbacks.length; index++) {
-                        callbacks[index](message.message);
-                    }
+                if (message.subject === "session/token") {
+                    // The server gave the session a new token, the previous token is no longer accepted
+                    this.token = message.message;
+                    this._storeCookie({"session": this.token});
+                } else if (message.subject in this._wsPushCallbacks) {
+                    this._deliverPush(message.subject, message.message, message.sequence);
                 } else {
                     console.error("Push message ignored, no callback available", message);
                 }
@@ -233,6 +241,57 @@ class ApiClient {
         }
     }
 
+    _deliverPush(subject, message, sequence) {
+        if (typeof sequence === "number") {
+            if ((subject in this._pushSequences) && (sequence <= this._pushSequences[subject])) {
+                return; // Already received, for example both live and as part of a replay
+            }
+            this._pushSequences[subject] = sequence;
+        }
+        let callbacks = this._wsPushCallbacks[subject];
+        for (let index = 0; index < callbacks.length; index++) {
+            callbacks[index](message);
+        }
+    }
+
+    _resumePush() {
+        // After reconnecting: subscribe again and request the push messages sent while the connection was down
+        if ((this.token === null) || (Object.keys(this._wsPushCallbacks).length < 1)) {
+            return;
+        }
+        let subjects = Object.keys(this._wsPushCallbacks);
+        this.request("session/push/subscribe", subjects, (result, error) => {
+            if (error) {
+                console.error("Failed to subscribe after reconnecting", error);
+                return;
+            }
+            let topics = subjects.filter(subject => subject in this._pushSequences).map(subject => ({topic: subject, sequence: this._pushSequences[subject]}));
+            if (topics.length < 1) {
+                return;
+            }
+            this.request("session/push/resume", topics, (result, error) => {
+                if (error) {
+                    console.error("Failed to resume push messages", error);
+                    return;
+                }
+                for (let index = 0; index < result.length; index++) {
+                    let topic = result[index];
+                    for (let messageIndex = 0; messageIndex < topic.messages.length; messageIndex++) {
+                        this._deliverPush(topic.topic, topic.messages[messageIndex].message, topic.messages[messageIndex].sequence);
+                    }
+                    if (!topic.complete) {
+                        this._pushSequences[topic.topic] = topic.sequence;
+                        if (typeof this.onPushGap === "function") {
+                            this.onPushGap(topic.topic);
+                        } else {
+                            console.log("Push messages for topic '" + topic.topic + "' were missed, reload the state");
+                        }
+                    }
+                }
+            });
+        });
+    }
+
     pushSubscribe(subject, callback, requestCallback = null) {
         if (requestCallback === null) {
             // eslint-disable-next-line no-unused-vars
@@ -1,6 +1,6 @@
 "use strict";
 
-const { Rpc, SessionManager, Webserver } = require("nicolai-jsonrpc");
+const { Rpc, SessionManager, PasswordAuthenticator, Webserver } = require("nicolai-jsonrpc");
 
 var sessionManager = new SessionManager();
 var rpc = new Rpc("Session manager example", sessionManager);
@@ -28,57 +28,33 @@ class User {
     }
     
     getPermissions() {
-        /* This function is used by the session manager to generate the list of methods granted permission to for a session
-           this list is returned by the 'session/state' API call. */
+        /* This function is used by the session manager to either grant or deny access to an API method, the permissions
+           may contain patterns like "example/*", denies like "!example/secret" and roles like "@admin". The list of
+           permissions is also returned by the 'session/permissions' API call. */
         return this.permissions;
     }
-    
-    checkPermission(method) {
-        /* This function is used by the session manager to either grant or deny access to an API method */
-        for (let index = 0; index < this.permissions.length; index++) {
-            if (method.startsWith(this.permissions[index])) {
-                return true;
-            }
-        }
-        return false;
-    }
 }
 
 let testUser = new User("test");
+let testUserHash = null; // Hash of the password "test", created below
 
-async function authenticate(parameters, session) {
-    if (session === null) {
-        throw "Invalid session";
-    }
-    if ((parameters.name === "test") && (parameters.password === "test")) {
-        session.setUser(testUser);
-    } else {
-        throw Error("Invalid username / password combination, use 'test' as username and as password to authenticate to this example server.");
+async function lookupUser(name) {
+    // Returns the user account and the stored password hash for a username, or null when the user does not exist
+    if (name !== testUser.name) {
+        return null;
     }
-    return testUser.serialize();
+    return {
+        user: testUser,
+        hash: testUserHash
+    };
 }
 
-rpc.addMethod(
-    "authentication/login",
-    authenticate,
-    {
-        type: "object",
-        required: {
-            name: {
-                type: "string"
-            }
-        },
-        optional: {
-            password: {
-                type: "string"
-            }
-        }
-    },
-    {
-        type: "none"
-    },
-    true // This method is public and may always be accessed
-);
+PasswordAuthenticator.hashPassword("test").then((hash) => {
+    testUserHash = hash;
+});
+
+// Adds the "session/login" and "session/logout" methods, log in using { "provider": "password", "username": "test", "password": "test" }
+sessionManager.addAuthenticator(new PasswordAuthenticator({ lookup: lookupUser }));
 
 async function authorizedAction(parameters, session) {
     // No need to check the parameters, the library does this by itself using the schema supplied when registering the method
@@ -6,7 +6,14 @@
 "use strict";
 
 const Rpc = require("./rpc.js");
+const RpcError = require("./rpcerror.js");
+const Router = require("./router.js");
+const PermissionEngine = require("./permissions.js");
 const SessionManager = require("./session.js");
+const { MemorySessionStore, FileSessionStore } = require("./sessionstore.js");
+const { PasswordAuthenticator, ApiKeyAuthenticator } = require("./authenticators.js");
+const TokenSigner = require("./tokens.js");
+const { InProcessBroker, UnixSocketBroker } = require("./brokers.js");
 const Webserver = require("./webserver.js");
 
-module.exports = { Rpc, SessionManager, Webserver };
+module.exports = { Rpc, RpcError, Router, PermissionEngine, SessionManager, MemorySessionStore, FileSessionStore, TokenSigner, PasswordAuthenticator, ApiKeyAuthenticator, InProcessBroker, UnixSocketBroker, Webserver };
@@ -0,0 +1,178 @@
+/**
+ * Copyright 2023 Renze Nicolai
+ * SPDX-License-Identifier: MIT
+ */
+
+"use strict";
+
+/*
+ * Outbound queue of push messages for a single connection. Messages are sent immediately while the connection keeps up,
+ * once the amount of data buffered by the connection exceeds the high water mark messages are queued instead. When the
+ * queue is full the policy decides what happens:
+ *  - "drop-oldest": the oldest queued message is dropped
+ *  - "coalesce":    a queued message is replaced by a newer message with the same topic, when the queue is still full the
+ *                   oldest queued message is dropped
+ *  - "disconnect":  the connection is closed, the client has to reconnect and resume
+ */
+
+class OutboundQueue {
+    constructor(connection, opts = {}) {
+        this._opts = Object.assign({
+            maxMessages: 100, // Maximum amount of queued messages
+            highWaterMark: 64 * 1024, // Amount of bytes buffered by the connection above which messages are queued
+            policy: "drop-oldest", // What happens when the queue is full: "drop-oldest", "coalesce" or "disconnect"
+            drainInterval: 50 // Interval in milliseconds at which queued messages are sent while the connection is busy
+        }, opts);
+
+        OutboundQueue.checkPolicy(this._opts.policy);
+
+        this._connection = connection;
+        this._queue = [];
+        this._queuedBytes = 0;
+        this._drainTimeout = null;
+        this._closed = false;
+
+        this._metrics = {
+            sent: 0,
+            dropped: 0,
+            coalesced: 0,
+            failed: 0,
+            maxDepth: 0
+        };
+
+        if (typeof connection.on === "function") {
+            connection.on("close", this._onClose.bind(this));
+        }
+    }
+
+    static checkPolicy(policy) {
+        if (!["drop-oldest", "coalesce", "disconnect"].includes(policy)) {
+            throw Error("Expected the outbound queue policy to be \"drop-oldest\", \"coalesce\" or \"disconnect\"");
+        }
+    }
+
+    _getBufferedAmount() {
+        // Connections which don't report the amount of buffered data are assumed to keep up
+        return (typeof this._connection.bufferedAmount === "number") ? this._connection.bufferedAmount : 0;
+    }
+
+    _send(data) {
+        // Sending never throws. Messages are counted as sent once the connection reports success, failures are counted
+        // as failed. Connections of which send accepts no callback and returns no promise are assumed to succeed.
+        let settled = false;
+        let onResult = (error) => {
+            if (settled) {
+                return;
+            }
+            settled = true;
+            if (error) {
+                this._metrics.failed++;
+            } else {
+                this._metrics.sent++;
+            }
+        };
+        try {
+            let result = this._connection.send(data, onResult);
+            if ((typeof result === "object") && (result !== null) && (typeof result.then === "function")) {
+                result.then(() => onResult(null), (error) => onResult(error || Error("Failed to send")));
+            } else if (this._connection.send.length < 2) {
+                onResult(null);
+            }
+            return true;
+        } catch (error) {
+            onResult(error || Error("Failed to send"));
+            return false;
+        }
+    }
+
+    _dropOldest() {
+        let entry = this._queue.shift();
+        this._queuedBytes -= entry.size;
+        this._metrics.dropped++;
+    }
+
+    enqueue(data, topic = null) {
+        // Send or queue a message, returns false when the message was not accepted because the connection failed or was closed
+        if (this._closed) {
+            return false;
+        }
+        if ((this._queue.length === 0) && (this._getBufferedAmount() <= this._opts.highWaterMark)) {
+            return this._send(data);
+        }
+        if ((this._opts.policy === "coalesce") && (topic !== null)) {
+            let index = this._queue.findIndex(entry => entry.topic === topic);
+            if (index >= 0) {
+                let size = Buffer.byteLength(data);
+                this._queuedBytes += size - this._queue[index].size;
+                this._queue[index].data = data;
+                this._queue[index].size = size;
+                this._metrics.coalesced++;
+                return true;
+            }
+        }
+        if (this._queue.length >= this._opts.maxMessages) {
+            if (this._opts.policy === "disconnect") {
+                this.disconnect();
+                return false;
+            }
+            this._dropOldest();
+        }
+        let size = Buffer.byteLength(data);
+        this._queue.push({ data: data, topic: topic, size: size });
+        this._queuedBytes += size;
+        this._metrics.maxDepth = Math.max(this._metrics.maxDepth, this._queue.length);
+        this._scheduleDrain();
+        return true;
+    }
+
+    _scheduleDrain() {
+        if (this._drainTimeout === null) {
+            this._drainTimeout = setTimeout(this._drain.bind(this), this._opts.drainInterval);
+            this._drainTimeout.unref(); // Don't keep the process running just for sending queued messages
+        }
+    }
+
+    _drain() {
+        this._drainTimeout = null;
+        while ((this._queue.length > 0) && (this._getBufferedAmount() <= this._opts.highWaterMark) && (!this._closed)) {
+            let entry = this._queue.shift();
+            this._queuedBytes -= entry.size;
+            this._send(entry.data);
+        }
+        if ((this._queue.length > 0) && (!this._closed)) {
+            this._scheduleDrain();
+        }
+    }
+
+    disconnect() {
+        // Close the connection, used for slow consumers. Terminating doesn't wait for the buffered data to be sent.
+        this._onClose();
+        if (typeof this._connection.terminate === "function") {
+            this._connection.terminate();
+        } else if (typeof this._connection.close === "function") {
+            this._connection.close();
+        }
+    }
+
+    _onClose() {
+        this._closed = true;
+        this._metrics.dropped += this._queue.length;
+        this._queue = [];
+        this._queuedBytes = 0;
+        if (this._drainTimeout !== null) {
+            clearTimeout(this._drainTimeout);
+            this._drainTimeout = null;
+        }
+    }
+
+    getMetrics() {
+        return Object.assign({
+            depth: this._queue.length,
+            queuedBytes: this._queuedBytes,
+            bufferedAmount: this._getBufferedAmount(),
+            policy: this._opts.policy
+        }, this._metrics);
+    }
+}
+
+module.exports = OutboundQueue;
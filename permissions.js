@@ -0,0 +1,177 @@
+/**
+ * Copyright 2023 Renze Nicolai
+ * SPDX-License-Identifier: MIT
+ */
+
+"use strict";
+
+const maxCachedPatterns = 1000; // Maximum amount of compiled patterns kept in the cache of an engine
+
+/*
+ * Permissions are lists of strings:
+ *  - "orders/list"     allows calling the method "orders/list"
+ *  - "orders/*"        allows calling any method directly below "orders/", a "?" matches a single character
+ *  - "orders/**"       allows calling any method below "orders/", including methods in nested namespaces
+ *  - "!orders/delete"  denies calling the method "orders/delete", a deny always takes precedence over an allow
+ *  - "@admin"          grants all permissions of the role "admin", roles can include other roles
+ */
+
+class PermissionEngine {
+    constructor(roles = {}) {
+        // Permissions granted by each role
+        this._roles = {};
+
+        // Compiled patterns, cached per pattern
+        this._patterns = new Map();
+
+        for (let name in roles) {
+            this.addRole(name, roles[name]);
+        }
+    }
+
+    addRole(name, permissions) {
+        if (typeof name !== "string") {
+            throw Error("Expected the role name to be a string");
+        }
+        if (!Array.isArray(permissions)) {
+            throw Error("Expected the permissions of role \"" + name + "\" to be an array");
+        }
+        this._roles[name] = permissions;
+    }
+
+    removeRole(name) {
+        if (!(name in this._roles)) {
+            return false;
+        }
+        delete this._roles[name];
+        return true;
+    }
+
+    getRoles() {
+        return this._roles;
+    }
+
+    _compile(pattern) {
+        // Converts a pattern into a list of tokens: "**" matches anything, "*" matches anything but a "/", "?" matches a
+        // single character but a "/" and any other character matches itself. Runs of stars are collapsed into one token.
+        let tokens = this._patterns.get(pattern);
+        if (typeof tokens !== "undefined") {
+            return tokens;
+        }
+        tokens = [];
+        for (let index = 0; index < pattern.length; index++) {
+            let character = pattern[index];
+            if (character === "*") {
+                let end = index;
+                while (pattern[end + 1] === "*") {
+                    end++;
+                }
+                tokens.push({ type: (end > index) ? "**" : "*" });
+                index = end;
+            } else if (character === "?") {
+                tokens.push({ type: "?" });
+            } else {
+                tokens.push({ type: "character", character: character });
+            }
+        }
+        // Patterns are supplied by clients when subscribing, the cache is bounded by dropping the oldest entry
+        if (this._patterns.size >= maxCachedPatterns) {
+            this._patterns.delete(this._patterns.keys().next().value);
+        }
+        this._patterns.set(pattern, tokens);
+        return tokens;
+    }
+
+    matches(pattern, methodName) {
+        // Simulates all positions in the pattern at once, which takes at most (pattern length * name length) steps
+        // regardless of the amount of wildcards, unlike a backtracking regular expression
+        let tokens = this._compile(pattern);
+        let active = new Array(tokens.length + 1).fill(false);
+        let close = (states) => {
+            // A star matches the empty string, so the position after a star is reachable as well
+            for (let index = 0; index < tokens.length; index++) {
+                if (states[index] && ((tokens[index].type === "*") || (tokens[index].type === "**"))) {
+                    states[index + 1] = true;
+                }
+            }
+            return states;
+        };
+        active[0] = true;
+        close(active);
+        for (let position = 0; position < methodName.length; position++) {
+            let character = methodName[position];
+            let next = new Array(tokens.length + 1).fill(false);
+            let any = false;
+            for (let index = 0; index < tokens.length; index++) {
+                if (!active[index]) {
+                    continue;
+                }
+                let token = tokens[index];
+                if (token.type === "**") {
+                    next[index] = true;
+                } else if (token.type === "*") {
+                    next[index] = next[index] || (character !== "/");
+                } else if (token.type === "?") {
+                    next[index + 1] = next[index + 1] || (character !== "/");
+                } else if (token.character === character) {
+                    next[index + 1] = true;
+                }
+            }
+            active = close(next);
+            for (let index = 0; index <= tokens.length; index++) {
+                any = any || active[index];
+            }
+            if (!any) {
+                return false;
+            }
+        }
+        return active[tokens.length];
+    }
+
+    resolve(permissions) {
+        // Expands roles in a list of permissions, returns the allowed and the denied patterns
+        let result = { allow: [], deny: [] };
+        let visitedRoles = [];
+        let expand = (list) => {
+            for (let index = 0; index < list.length; index++) {
+                let permission = list[index];
+                if (typeof permission !== "string") {
+                    continue;
+                }
+                if (permission.startsWith("@")) {
+                    let role = permission.substring(1);
+                    if ((role in this._roles) && (!visitedRoles.includes(role))) {
+                        visitedRoles.push(role); // Prevents infinite recursion when roles include each other
+                        expand(this._roles[role]);
+                    }
+                } else if (permission.startsWith("!")) {
+                    if (!result.deny.includes(permission.substring(1))) {
+                        result.deny.push(permission.substring(1));
+                    }
+                } else if (!result.allow.includes(permission)) {
+                    result.allow.push(permission);
+                }
+            }
+        };
+        expand(permissions);
+        return result;
+    }
+
+    check(permissions, methodName) {
+        // Returns true when the method is allowed, false when the method is explicitly denied and null when no permission applies
+        let resolved = this.resolve(permissions);
+        for (let index = 0; index < resolved.deny.length; index++) {
+            if (this.matches(resolved.deny[index], methodName)) {
+                return false;
+            }
+        }
+        for (let index = 0; index < resolved.allow.length; index++) {
+            if (this.matches(resolved.allow[index], methodName)) {
+                return true;
+            }
+        }
+        return null;
+    }
+}
+
+module.exports = PermissionEngine;
@@ -0,0 +1,81 @@
+/**
+ * Copyright 2023 Renze Nicolai
+ * SPDX-License-Identifier: MIT
+ */
+
+"use strict";
+
+class Router {
+    constructor() {
+        // Registrations of methods, stored so that they can be repeated on every target this router is mounted on
+        this._registrations = {};
+
+        // Targets (RPC instances or other routers) this router is mounted on
+        this._mounts = [];
+    }
+
+    _register(name, functionName, args) {
+        if (typeof name !== "string") {
+            throw Error("Expected the method name to be a string");
+        }
+        this._registrations[name] = {
+            functionName: functionName,
+            args: args
+        };
+        for (let index = 0; index < this._mounts.length; index++) {
+            let mount = this._mounts[index];
+            mount.target[functionName](mount.prefix + name, ...args);
+        }
+    }
+
+    addMethod(name, callback, parameterSchema, resultSchema, isPublic = false, opts = {}) {
+        this._register(name, "addMethod", [callback, parameterSchema, resultSchema, isPublic, opts]);
+    }
+
+    addPublicMethod(name, callback, parameterSchema, resultSchema, opts = {}) {
+        this._register(name, "addMethod", [callback, parameterSchema, resultSchema, true, opts]);
+    }
+
+    addPushMethod(name, resultSchema, isPublic = false, opts = {}) {
+        this._register(name, "addPushMethod", [resultSchema, isPublic, opts]);
+    }
+
+    deleteMethod(name) {
+        if (!(name in this._registrations)) {
+            return false;
+        }
+        delete this._registrations[name];
+        for (let index = 0; index < this._mounts.length; index++) {
+            let mount = this._mounts[index];
+            mount.target.deleteMethod(mount.prefix + name);
+        }
+        return true;
+    }
+
+    listMethods() {
+        // Returns the names of the methods registered on this router, without prefix
+        return Object.keys(this._registrations);
+    }
+
+    mount(prefix, router) {
+        // Mount another router under a prefix of this router
+        router.mountOn(this, prefix);
+    }
+
+    mountOn(target, prefix = "") {
+        // Register all methods of this router on the target, methods added to this router later on are registered on the target as well
+        if (prefix !== "") {
+            prefix = prefix + "/";
+        }
+        this._mounts.push({
+            target: target,
+            prefix: prefix
+        });
+        for (let name in this._registrations) {
+            let registration = this._registrations[name];
+            target[registration.functionName](prefix + name, ...registration.args);
+        }
+    }
+}
+
+module.exports = Router;
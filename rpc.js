@@ -6,15 +6,35 @@
 "use strict";
 
 const Ajv = require("ajv/dist/2019");
+const RpcError = require("./rpcerror.js");
 
 class Rpc {
-    constructor(aIdentity = "", aSessionManager = null, aVerbose = true, openapiVersion = "3.0.0") {
+    constructor(aIdentity = "", aSessionManager = null, aVerbose = true, openapiVersion = "3.0.0", opts = {}) {
         this._identity = aIdentity;
         this._sessionManager = aSessionManager;
         this._methods = {};
+        this._middleware = [];
         this._verbose = aVerbose;
         this._openapiVersion = openapiVersion;
 
+        this._opts = Object.assign({
+            resultValidation: "off", // Default result validation mode for methods: "off", "log" or "strict"
+            legacyResponses: false, // Always include both the result and the error field in responses (pre JSON-RPC 2.0 compliant behaviour)
+            timeout: null, // Default execution timeout for methods in milliseconds, null disables the timeout
+            maxBatchSize: null, // Maximum number of requests in a batch, null allows batches of any size
+            concurrency: null, // Maximum number of methods executing at the same time, null allows any number of concurrent executions
+            sequentialBatches: false // Execute the requests in a batch one after another, in order, instead of concurrently
+        }, opts);
+
+        // Number of methods executing and executions waiting for a slot, used for limiting concurrency
+        this._running = 0;
+        this._waiting = [];
+
+        // Abort controllers of requests in progress, per connection, used for cancelling requests
+        this._requestsInProgress = new WeakMap();
+
+        this._checkResultValidationMode(this._opts.resultValidation);
+
         if (typeof this._identity === "string") {
             // Legacy compatibility
             this._identity = {
@@ -31,6 +51,13 @@ class Rpc {
             removeAdditional: true, // Remove properties not defined in the schema when additionalProperties isn't set,
             allowUnionTypes: true // Allow specifying multiple types at once
         });
+
+        // Results and push messages are checked without being modified, removing properties would change what the client receives
+        this._resultAjv = new Ajv({
+            strict: true,
+            strictSchema: true,
+            allowUnionTypes: true
+        });
         
         this._errors = {
             parse:          { code: -32700, message: "Parse error"           }, // As defined in JSON-RPC 2.0
@@ -43,23 +70,49 @@ class Rpc {
             returnString:   { code: -32002, message: ""                      }, // Custom: returned when the executed method throws a string
             returnError:    { code: -32003, message: ""                      }, // Custom: returned when the executed method throws an Error
             returnCustom:   { code: -32004, message: ""                      }, // Custom: returned when the executed method throws an unknown type of object
+            result:         { code: -32005, message: "Invalid result"        }, // Custom: returned when the result of the executed method does not match the result schema (strict result validation only)
+            timeout:        { code: -32006, message: "Timeout"               }, // Custom: returned when the executed method did not finish within the timeout
+            cancelled:      { code: -32007, message: "Request cancelled"     }, // Custom: returned when the request was cancelled by the client
+            batchSize:      { code: -32008, message: "Batch too large"       }, // Custom: returned when a batch contains more requests than allowed
+            // Codes -32009 and -32010 are used by the session manager, see loginErrors in session.js
+        };
+
+        // HTTP status codes used by handleHttpRequest for the errors above, other errors result in status 500
+        this._errorHttpStatus = {
+            [this._errors.parse.code]: 400,
+            [this._errors.invalid.code]: 400,
+            [this._errors.method.code]: 404,
+            [this._errors.parameters.code]: 400,
+            [this._errors.permission.code]: 403,
+            [this._errors.invalidToken.code]: 401,
+            [this._errors.timeout.code]: 504
         };
 
+        // Application specific errors, registered using registerError
+        this._applicationErrors = {};
+
         // A method that returns API usage information
         // eslint-disable-next-line no-unused-vars
-        this.addPublicMethod("usage", (parameters, session) => { return this.usage(); }, null, {type: "object", description: "Object describing this API"});
+        this.addPublicMethod("usage", (parameters, session) => { return this.usage(); }, null, {type: "object", description: "Object describing this API"}, {summary: "OpenAPI document describing this API"});
 
         // A method that allows for executing a connection test
         // eslint-disable-next-line no-unused-vars
-        this.addPublicMethod("ping", (parameters, session) => { return "pong"; }, null, {type: "string", description: "A string containing the text 'pong'"});
+        this.addPublicMethod("ping", (parameters, session) => { return "pong"; }, null, {type: "string", description: "A string containing the text 'pong'"}, {summary: "Connection test"});
 
         // A method that returns the list of available methods
         // eslint-disable-next-line no-unused-vars
-        this.addPublicMethod("methods", (parameters, session) => { return this.listMethods(false, true); }, null, {type: "array", description: "List of methods", items: {type: "string"}});
+        this.addPublicMethod("methods", (parameters, session) => { return this.listMethods(false, true); }, null, {type: "array", description: "List of methods", items: {type: "string"}}, {summary: "List of all methods"});
         
         // A method that returns the list of available public methods
         // eslint-disable-next-line no-unused-vars
-        this.addPublicMethod("methods/public", (parameters, session) => { return this.listMethods(true, true); }, null, {type: "array", description: "List of methods", items: {type: "string"}});
+        this.addPublicMethod("methods/public", (parameters, session) => { return this.listMethods(true, true); }, null, {type: "array", description: "List of methods", items: {type: "string"}}, {summary: "List of public methods"});
+
+        // A method that returns the OpenRPC service description of this API
+        // eslint-disable-next-line no-unused-vars
+        this.addPublicMethod("rpc.discover", (parameters, session) => { return this.discover(); }, null, {type: "object", description: "OpenRPC document describing this API"}, {summary: "OpenRPC document describing this API"});
+
+        // A method that allows for cancelling a request in progress on the same connection, intended to be sent as notification
+        this.addPublicMethod("$/cancel", (parameters, session, connection) => { return this._cancel(parameters.id, connection); }, {type: "object", properties: {id: {type: ["string", "number"], description: "Identifier of the request to cancel"}}, required: ["id"]}, {type: "boolean", description: "True when the request was cancelled, false when no request with the supplied identifier is in progress"}, {summary: "Cancel a request in progress on the same connection"});
 
         // Add methods for managing sessions
         if (this._sessionManager) {
@@ -69,53 +122,120 @@ class Rpc {
         }
     }
     
-    usage() {
-        let authorizationParameter = [
-            {
-                name: "Token",
-                in: "header",
-                description: "Authorization token",
-                required: true,
-                schema: {
-                    type: "string"
+    _openapiErrorResponse(description, codes) {
+        // Creates an OpenAPI response object for errors returned by handleHttpRequest
+        let schema = { $ref: "#/components/schemas/Error" };
+        if (codes !== null) {
+            schema = {
+                allOf: [
+                    { $ref: "#/components/schemas/Error" },
+                    { type: "object", properties: { code: { type: "integer", enum: codes } } }
+                ]
+            };
+        }
+        return {
+            description: description,
+            content: {
+                "application/json": {
+                    schema: schema
+                }
+            }
+        };
+    }
+
+    _openapiExamples(examples, field) {
+        // Converts the examples of a method into an OpenAPI examples map for either the parameters or the result
+        let output = {};
+        for (let index = 0; index < examples.length; index++) {
+            let example = examples[index];
+            if (typeof example[field] === "undefined") {
+                continue;
+            }
+            let name = (typeof example.name === "string") ? example.name : ("example" + (index + 1));
+            output[name] = { value: example[field] };
+            if (typeof example.summary === "string") {
+                output[name].summary = example.summary;
+            }
+        }
+        return (Object.keys(output).length > 0) ? output : null;
+    }
+
+    _openapi30Schema(schema) {
+        // Returns a copy of a JSON schema with type lists rewritten for OpenAPI 3.0, which only accepts a single type:
+        // the "null" type becomes nullable and a list of multiple other types becomes a oneOf of those types
+        if (Array.isArray(schema)) {
+            return schema.map(item => this._openapi30Schema(item));
+        }
+        if ((typeof schema !== "object") || (schema === null)) {
+            return schema;
+        }
+        let output = {};
+        for (let key in schema) {
+            let value = schema[key];
+            if (["properties", "patternProperties", "$defs", "definitions"].includes(key) && (typeof value === "object") && (value !== null)) {
+                output[key] = {};
+                for (let name in value) {
+                    output[key][name] = this._openapi30Schema(value[name]);
                 }
+            } else if (["items", "additionalProperties", "allOf", "anyOf", "oneOf", "not"].includes(key)) {
+                output[key] = this._openapi30Schema(value);
+            } else {
+                output[key] = value;
+            }
+        }
+        if ((typeof output.type === "string") || Array.isArray(output.type)) {
+            let types = [].concat(output.type);
+            let nonNullTypes = types.filter(type => type !== "null");
+            delete output.type;
+            if (nonNullTypes.length < types.length) {
+                output.nullable = true;
+            }
+            if (nonNullTypes.length === 1) {
+                output.type = nonNullTypes[0];
+            } else if (nonNullTypes.length > 1) {
+                let alternatives = nonNullTypes.map(type => ({ type: type }));
+                if (typeof output.oneOf === "undefined") {
+                    output.oneOf = alternatives;
+                } else {
+                    // The schema already has a oneOf, require one of the types as well
+                    output.allOf = (output.allOf || []).concat([{ oneOf: alternatives }]);
+                }
+            } else {
+                // Only the null type
+                output.enum = [null];
             }
-        ];
+        }
+        return output;
+    }
+
+    usage() {
+        let is31 = this._openapiVersion.startsWith("3.1");
         let output = {
-            openapi: this._openapiVersion,
+            openapi: is31 ? ((this._openapiVersion === "3.1") ? "3.1.0" : this._openapiVersion) : this._openapiVersion,
             info: this._identity,
             paths: {
                 "/": {
                     post: {
                         operationId: "JSON-RPC v2.0 interface",
                         summary: "Access this API via JSON-RPC 2.0 messages",
+                        description: "Accepts a single request object or a batch (array) of request objects. Requests without an identifier are notifications and are not answered.",
+                        tags: ["JSON-RPC"],
                         responses: {
                             "200": {
-                                description: "200 response",
+                                description: "Response, or array of responses for a batch request",
                                 content: {
                                     "application/json": {
                                         schema: {
-                                            type: "object",
-                                            properties: {
-                                                jsonrpc: {
-                                                    type: "string",
-                                                    description: "Must contain the text '2.0'"
-                                                },
-                                                id: {
-                                                    type: "string",
-                                                    description: "Identifier for the request, can be freely chosen"
-                                                },
-                                                result: {
-
-                                                },
-                                                error: {
-
-                                                }
-                                            },
-                                            required: ["jsonrpc", "id", "result", "error"]
+                                            oneOf: [
+                                                { $ref: "#/components/schemas/Response" },
+                                                { type: "array", items: { $ref: "#/components/schemas/Response" } }
+                                            ]
                                         }
                                     }
                                 }
+                            },
+                            "204": {
+                                description: "No response, the request only contained notifications"
                             }
                         },
                         requestBody: {
@@ -123,30 +243,9 @@ class Rpc {
                             content: {
                                 "application/json": {
                                     schema: {
-                                        type: "object",
-                                        properties: {
-                                            jsonrpc: {
-                                                type: "string",
-                                                description: "Must contain the text '2.0'"
-                                            },
-                                            id: {
-                                                type: "string",
-                                                description: "Identifier for the request, can be freely chosen"
-                                            },
-                                            method: {
-                                                type: "string",
-                                                description: "Method to be executed"
-                                            },
-                                            params: {
-                                                description: "Depends on the method called"
-                                            },
-                                            token: {
-                                                type: "string",
-                                                description: "Authentication token"
-                                            }
-                                        },
-                                        required: [
-                                            "jsonrpc", "id", "method"
+                                        oneOf: [
+                                            { $ref: "#/components/schemas/Request" },
+                                            { type: "array", items: { $ref: "#/components/schemas/Request" } }
                                         ]
                                     }
                                 }
@@ -154,29 +253,166 @@ class Rpc {
                         }
                     }
                 }
+            },
+            components: {
+                schemas: {
+                    Request: {
+                        type: "object",
+                        properties: {
+                            jsonrpc: {
+                                type: "string",
+                                description: "Must contain the text '2.0'"
+                            },
+                            id: {
+                                type: "string",
+                                description: "Identifier for the request, can be freely chosen. Omit the identifier to send a notification"
+                            },
+                            method: {
+                                type: "string",
+                                description: "Method to be executed"
+                            },
+                            params: {
+                                description: "Depends on the method called"
+                            },
+                            token: {
+                                type: "string",
+                                description: "Authentication token"
+                            }
+                        },
+                        required: [
+                            "jsonrpc", "method"
+                        ]
+                    },
+                    Response: {
+                        type: "object",
+                        properties: {
+                            jsonrpc: {
+                                type: "string",
+                                description: "Must contain the text '2.0'"
+                            },
+                            id: {
+                                type: "string",
+                                description: "Identifier of the request"
+                            },
+                            result: {
+                                description: "Result of the request, only present when the request succeeded"
+                            },
+                            error: {
+                                $ref: "#/components/schemas/Error"
+                            }
+                        },
+                        required: this._opts.legacyResponses ? ["jsonrpc", "id", "result", "error"] : ["jsonrpc", "id"]
+                    },
+                    Error: {
+                        type: "object",
+                        description: "Error, only present when the request failed",
+                        properties: {
+                            code: {
+                                type: "integer"
+                            },
+                            message: {
+                                type: "string"
+                            },
+                            data: {
+                                description: "Additional information about the error"
+                            }
+                        },
+                        required: ["code", "message"]
+                    }
+                },
+                responses: {
+                    InvalidParams: this._openapiErrorResponse("Invalid parameters", [this._errors.parameters.code]),
+                    InvalidToken: this._openapiErrorResponse("The supplied token can not be associated with a session", [this._errors.invalidToken.code]),
+                    AccessDenied: this._openapiErrorResponse("Access denied", [this._errors.permission.code]),
+                    MethodError: this._openapiErrorResponse("The method failed", null),
+                    Timeout: this._openapiErrorResponse("The method did not finish within the timeout", [this._errors.timeout.code])
+                },
+                securitySchemes: {
+                    token: {
+                        type: "apiKey",
+                        in: "header",
+                        name: "Token",
+                        description: "Session token supplied in the 'Token' header"
+                    },
+                    bearer: {
+                        type: "http",
+                        scheme: "bearer",
+                        description: "Session token supplied in the 'Authorization' header"
+                    }
+                }
             }
         };
+        if (is31) {
+            output.jsonSchemaDialect = "https://json-schema.org/draft/2019-09/schema";
+        }
+        for (let name in this._applicationErrors) {
+            let errorInfo = this._applicationErrors[name];
+            let errorSchema = {
+                type: "object",
+                properties: {
+                    code: {
+                        type: "integer",
+                        enum: [errorInfo.code]
+                    },
+                    message: {
+                        type: "string"
+                    }
+                },
+                required: ["code", "message"]
+            };
+            if (errorInfo.dataSchema !== null) {
+                errorSchema.properties.data = is31 ? errorInfo.dataSchema : this._openapi30Schema(errorInfo.dataSchema);
+            }
+            output.components.responses[name] = {
+                description: errorInfo.message + " (HTTP status " + errorInfo.httpStatus + ")",
+                content: {
+                    "application/json": {
+                        schema: errorSchema
+                    }
+                }
+            };
+        }
         for (let method in this._methods) {
             let methodInfo = this._methods[method];
             output.paths["/" + method] = {};
-            let resultSchemaContainer = {};
+            let resultContent = {};
             if ((methodInfo.resultValidator !== null) && (typeof methodInfo.resultSchema === "object")) {
-                resultSchemaContainer = {schema: methodInfo.resultSchema};
+                resultContent.schema = is31 ? methodInfo.resultSchema : this._openapi30Schema(methodInfo.resultSchema);
+            }
+            let resultExamples = this._openapiExamples(methodInfo.examples, "result");
+            if (resultExamples !== null) {
+                resultContent.examples = resultExamples;
             }
+            let timeout = (methodInfo.timeout !== null) ? methodInfo.timeout : this._opts.timeout;
             let description = {
                 operationId: method,
-                summary: "",
+                summary: methodInfo.summary,
                 responses: {
                     "200": {
-                        description: "200 response",
+                        description: "Result of the method",
                         content: {
-                            "application/json": resultSchemaContainer
+                            "application/json": resultContent
                         }
-                    }
+                    },
+                    "500": { $ref: "#/components/responses/MethodError" }
                 }
             };
+            if (methodInfo.description !== "") {
+                description.description = methodInfo.description;
+            }
+            if (methodInfo.tags.length > 0) {
+                description.tags = methodInfo.tags;
+            }
+            if (methodInfo.deprecated) {
+                description.deprecated = true;
+            }
             if (!methodInfo.public) {
-                description.parameters = authorizationParameter;
+                description.security = [{ token: [] }, { bearer: [] }];
+                description.responses["401"] = { $ref: "#/components/responses/InvalidToken" };
+                description.responses["403"] = { $ref: "#/components/responses/AccessDenied" };
+            }
+            if ((timeout !== null) && (timeout > 0)) {
+                description.responses["504"] = { $ref: "#/components/responses/Timeout" };
             }
             if (!methodInfo.noParameters) {
                 // Parameters: POST request
@@ -184,10 +420,15 @@ class Rpc {
                     required: true,
                     content: {
                         "application/json": {
-                            schema: methodInfo.parameterSchema
+                            schema: is31 ? methodInfo.parameterSchema : this._openapi30Schema(methodInfo.parameterSchema)
                         }
                     }
                 };
+                let parameterExamples = this._openapiExamples(methodInfo.examples, "parameters");
+                if (parameterExamples !== null) {
+                    description.requestBody.content["application/json"].examples = parameterExamples;
+                }
+                description.responses["400"] = { $ref: "#/components/responses/InvalidParams" };
                 output.paths["/" + method].post = description;
             } else {
                 // No parameters: GET request
@@ -197,6 +438,129 @@ class Rpc {
         return output;
     }
     
+    _openrpcParameters(methodInfo) {
+        // Converts the parameter schema of a method into a list of OpenRPC content descriptors and a parameter structure
+        let schema = methodInfo.parameterSchema;
+        if (methodInfo.noParameters) {
+            return { params: [], paramStructure: "either" };
+        }
+        if ((schema.type === "object") && (typeof schema.properties === "object")) {
+            let required = Array.isArray(schema.required) ? schema.required : [];
+            let params = [];
+            for (let name in schema.properties) {
+                params.push({
+                    name: name,
+                    required: required.includes(name),
+                    schema: schema.properties[name]
+                });
+            }
+            // Methods with declared arguments accept both positional and named parameters
+            return { params: params, paramStructure: (methodInfo.arguments !== null) ? "either" : "by-name" };
+        }
+        // Any other schema describes the params member of the request as a whole
+        return {
+            params: [{
+                name: "params",
+                description: "The params member of the request",
+                required: true,
+                schema: schema
+            }],
+            paramStructure: "either",
+            raw: true
+        };
+    }
+
+    discover() {
+        let output = {
+            openrpc: "1.3.2",
+            info: this._identity,
+            methods: [],
+            components: {
+                errors: {
+                    InvalidParams: this._errors.parameters,
+                    InvalidToken: this._errors.invalidToken,
+                    AccessDenied: this._errors.permission,
+                    InvalidResult: this._errors.result,
+                    Timeout: this._errors.timeout,
+                    Cancelled: this._errors.cancelled
+                }
+            }
+        };
+        for (let name in this._applicationErrors) {
+            let errorInfo = this._applicationErrors[name];
+            output.components.errors[name] = {
+                code: errorInfo.code,
+                message: errorInfo.message
+            };
+        }
+        for (let method in this._methods) {
+            if (method === "rpc.discover") {
+                continue;
+            }
+            let methodInfo = this._methods[method];
+            let parameters = this._openrpcParameters(methodInfo);
+            let description = {
+                name: method,
+                summary: methodInfo.summary,
+                params: parameters.params,
+                paramStructure: parameters.paramStructure,
+                result: {
+                    name: "result",
+                    schema: (methodInfo.resultSchema !== null) ? methodInfo.resultSchema : {}
+                },
+                errors: [],
+                "x-public": methodInfo.public,
+                "x-push": methodInfo.push
+            };
+            if (methodInfo.description !== "") {
+                description.description = methodInfo.description;
+            }
+            if (methodInfo.tags.length > 0) {
+                description.tags = methodInfo.tags.map(tag => ({ name: tag }));
+            }
+            if (methodInfo.deprecated) {
+                description.deprecated = true;
+            }
+            if (methodInfo.push) {
+                description.result.name = "message";
+                description.result.description = "Push message, delivered to subscribers after subscribing to this method via the session manager";
+            }
+            if (!methodInfo.noParameters) {
+                description.errors.push({ $ref: "#/components/errors/InvalidParams" });
+            }
+            if (!methodInfo.public) {
+                description.errors.push({ $ref: "#/components/errors/InvalidToken" });
+                description.errors.push({ $ref: "#/components/errors/AccessDenied" });
+            }
+            if (methodInfo.examples.length > 0) {
+                description.examples = methodInfo.examples.map((example, index) => {
+                    let pairing = {
+                        name: (typeof example.name === "string") ? example.name : ("example" + (index + 1)),
+                        params: []
+                    };
+                    if (typeof example.summary === "string") {
+                        pairing.summary = example.summary;
+                    }
+                    if (typeof example.parameters !== "undefined") {
+                        if (parameters.raw) {
+                            pairing.params.push({ name: "params", value: example.parameters });
+                        } else {
+                            for (let name in example.parameters) {
+                                pairing.params.push({ name: name, value: example.parameters[name] });
+                            }
+                        }
+                    }
+                    if (typeof example.result !== "undefined") {
+                        pairing.result = { name: "result", value: example.result };
+                    }
+                    return pairing;
+                });
+            }
+            output.methods.push(description);
+        }
+        return output;
+    }
+    
     listMethods(onlyPublic = false, returnArray = false) {
         let methods = returnArray ? [] : {};
         for (let methodName in this._methods) {
@@ -215,7 +579,13 @@ class Rpc {
         return methods;
     }
 
-    addMethod(name, callback, parameterSchema, resultSchema, isPublic = false) {
+    _checkResultValidationMode(mode) {
+        if (!["off", "log", "strict"].includes(mode)) {
+            throw Error("Expected the result validation mode to be \"off\", \"log\" or \"strict\"");
+        }
+    }
+
+    addMethod(name, callback, parameterSchema, resultSchema, isPublic = false, opts = {}) {
         if (typeof name !== "string") {
             throw Error("Expected the method name to be a string");
         }
@@ -223,6 +593,34 @@ class Rpc {
             throw Error("Expected the callback for method \"" + name + "\" to be a function");
         }
 
+        opts = Object.assign({
+            resultValidation: null, // Result validation mode for this method, null uses the default of the Rpc instance
+            timeout: null, // Execution timeout for this method in milliseconds, null uses the default of the Rpc instance and 0 disables the timeout
+            summary: "", // Short description of the method
+            description: "", // Extended description of the method
+            tags: null, // List of tags used for grouping the method in the documentation, null uses the prefix of the method name
+            examples: [], // List of examples, objects containing a name, a summary, parameters and a result
+            deprecated: false, // Marks the method as deprecated in the documentation
+            push: false, // Marks the method as push message topic, set by addPushMethod
+            arguments: null // List of named arguments, objects containing a name, a schema and optionally a default and a description
+        }, opts);
+
+        if (opts.arguments !== null) {
+            // The parameter schema is generated from the declared arguments
+            if (parameterSchema !== null) {
+                throw Error("Expected the parameter schema for method \"" + name + "\" to be null when arguments are declared");
+            }
+            parameterSchema = this._createArgumentsSchema(name, opts.arguments);
+        }
+
+        if (opts.tags === null) {
+            opts.tags = name.includes("/") ? [name.substring(0, name.lastIndexOf("/"))] : [];
+        }
+
+        if (opts.resultValidation !== null) {
+            this._checkResultValidationMode(opts.resultValidation);
+        }
+
         let parameterValidator = null;
         let resultValidator = null;
 
@@ -236,7 +634,7 @@ class Rpc {
         }
         if (resultSchema !== null) {
             try {
-                resultValidator = this._ajv.compile(resultSchema);
+                resultValidator = this._resultAjv.compile(resultSchema);
             } catch (error) {
                 console.error("Failed to compile result schema for method '" + name + "'");
                 throw error;
@@ -251,7 +649,16 @@ class Rpc {
             parameterValidator: parameterValidator,
             resultValidator: resultValidator,
             noParameters: (parameterSchema === null),
-            noResult: (resultSchema === null)
+            noResult: (resultSchema === null),
+            resultValidation: opts.resultValidation,
+            timeout: opts.timeout,
+            summary: opts.summary,
+            description: opts.description,
+            tags: opts.tags,
+            examples: opts.examples,
+            deprecated: opts.deprecated,
+            push: opts.push,
+            arguments: opts.arguments
         };
 
         if (this._sessionManager !== null) {
@@ -259,11 +666,11 @@ class Rpc {
         }
     }
 
-    addPublicMethod(name, callback, parameterSchema, resultSchema) {
-        return this.addMethod(name, callback, parameterSchema, resultSchema, true);
+    addPublicMethod(name, callback, parameterSchema, resultSchema, opts = {}) {
+        return this.addMethod(name, callback, parameterSchema, resultSchema, true, opts);
     }
 
-    addPushMethod(name, resultSchema, isPublic = false) {
+    addPushMethod(name, resultSchema, isPublic = false, opts = {}) {
         return this.addMethod(
             name,
             async (parameters, session) => {
@@ -271,7 +678,8 @@ class Rpc {
             },
             null,
             resultSchema,
-            isPublic
+            isPublic,
+            Object.assign({}, opts, {push: true})
         );
     }
 
@@ -284,22 +692,122 @@ class Rpc {
             },
             null,
             null,
-            isPublic
+            isPublic,
+            {push: true}
         );
     }
+
+    validatePushFilter(name, filter) {
+        // Checks a subscription filter: every property must be a property of the push message and have a valid value
+        let methodInfo = this._methods[name];
+        if ((typeof methodInfo === "undefined") || (!methodInfo.push)) {
+            throw {
+                code: this._errors.parameters.code,
+                message: this._errors.parameters.message,
+                data: "Filters can only be used when subscribing to a single push message topic, \"" + name + "\" is not a push message topic"
+            };
+        }
+        if ((methodInfo.resultSchema === null) || (typeof methodInfo.resultSchema.properties !== "object")) {
+            throw {
+                code: this._errors.parameters.code,
+                message: this._errors.parameters.message,
+                data: "The push message topic \"" + name + "\" does not describe properties which can be filtered on"
+            };
+        }
+        if (typeof methodInfo.filterValidator === "undefined") {
+            // Compiled when the topic is first subscribed to using a filter
+            methodInfo.filterValidator = this._ajv.compile({
+                type: "object",
+                properties: methodInfo.resultSchema.properties,
+                propertyNames: {
+                    enum: Object.keys(methodInfo.resultSchema.properties)
+                }
+            });
+        }
+        if (!methodInfo.filterValidator(filter)) {
+            throw {
+                code: this._errors.parameters.code,
+                message: this._errors.parameters.message,
+                data: methodInfo.filterValidator.errors
+            };
+        }
+    }
     
+    validatePushMessage(name, message) {
+        // Checks the contents of a push message against the schema of the push message topic, throws an RpcError when invalid.
+        // The message is not modified: the schema of the topic is compiled by the validator for results.
+        let methodInfo = this._methods[name];
+        if ((typeof methodInfo === "undefined") || (!methodInfo.push)) {
+            throw new RpcError("\"" + name + "\" is not a push message topic", this._errors.result.code);
+        }
+        if ((methodInfo.resultValidator !== null) && (!methodInfo.resultValidator(message))) {
+            throw new RpcError("Push message does not match the schema of topic \"" + name + "\"", this._errors.result.code, methodInfo.resultValidator.errors);
+        }
+    }
+
+    registerError(name, code, message, httpStatus = 500, dataSchema = null) {
+        if (typeof name !== "string") {
+            throw Error("Expected the error name to be a string");
+        }
+        if (!Number.isInteger(code)) {
+            throw Error("Expected the code for error \"" + name + "\" to be an integer");
+        }
+        if ((code >= -32768) && (code <= -32000)) {
+            throw Error("The code for error \"" + name + "\" is in the range reserved by JSON-RPC 2.0 and this library (-32768 to -32000)");
+        }
+        for (let otherName in this._applicationErrors) {
+            if ((otherName !== name) && (this._applicationErrors[otherName].code === code)) {
+                throw Error("The code for error \"" + name + "\" is already used by error \"" + otherName + "\"");
+            }
+        }
+        this._applicationErrors[name] = {
+            code: code,
+            message: message,
+            httpStatus: httpStatus,
+            dataSchema: dataSchema
+        };
+    }
+
+    createError(name, data = null) {
+        // Create an RpcError for a registered application error, for a method to throw
+        if (!(name in this._applicationErrors)) {
+            throw Error("Unknown error \"" + name + "\"");
+        }
+        let errorInfo = this._applicationErrors[name];
+        return new RpcError(errorInfo.message, errorInfo.code, data, errorInfo.httpStatus);
+    }
+
+    use(middleware) {
+        // Add middleware: an object with an async before(context) and/or after(context, result) hook, or a function used as before hook
+        if (typeof middleware === "function") {
+            middleware = { before: middleware };
+        }
+        if ((typeof middleware !== "object") || (middleware === null)) {
+            throw Error("Expected the middleware to be an object or a function");
+        }
+        if ((typeof middleware.before !== "function") && (typeof middleware.after !== "function")) {
+            throw Error("Expected the middleware to implement a before and/or an after hook");
+        }
+        this._middleware.push(middleware);
+    }
+
     deleteMethod(name) {
-        if (this._methods[name]) {
-            delete this._methods[name];
-            return true;
+        if (!this._methods[name]) {
+            return false;
         }
+        delete this._methods[name];
         if (this._sessionManager !== null) {
             this._sessionManager.setPublicMethods(this.listMethods(true, true));
         }
-        return false;
+        return true;
+    }
+
+    mount(prefix, router) {
+        // Register the methods of a router under a prefix, for example mounting a router with method "list" under "orders" adds "orders/list"
+        router.mountOn(this, prefix);
     }
     
-    async _execute(method = null, parameters = null, token = null, connection=null) {
+    async _execute(method = null, parameters = null, token = null, connection=null, controller = null, rotatedTokens = null) {
         // 1) Check if the method exists
         if (typeof this._methods[method] !== "object") {
             throw this._errors.method;
@@ -307,6 +815,7 @@ class Rpc {
         
         // 2) Check if the client is authorized to execute the method
         let session = null;
+        let identifier = null;
         if (this._sessionManager !== null) {
             if (token !== null) {
                 session = this._sessionManager.getSession(token);
@@ -315,6 +824,7 @@ class Rpc {
                 }
             }
             if (session !== null) {
+                identifier = (typeof session.getIdentifier === "function") ? session.getIdentifier() : null;
                 if (typeof session.use === "function") {
                     session.use();
                 }
@@ -329,14 +839,244 @@ class Rpc {
             }
         }
         
-        // 3) Check if the client has provided valid parameters
+        // 3) Run the middleware, which wraps the validation of the parameters and the execution of the method
+        if (controller === null) {
+            controller = new AbortController();
+        }
+        let context = {
+            method: method,
+            parameters: parameters,
+            session: session,
+            connection: connection,
+            signal: controller.signal
+        };
+        // Wait for a free slot when the number of concurrent executions is limited, cancelling a request is never delayed.
+        // Waiting counts towards the timeout, a request which times out or is cancelled while waiting never executes.
+        let limited = (method !== "$/cancel");
+        let execution = async () => {
+            if (limited) {
+                await this._acquireSlot(controller.signal);
+            }
+            try {
+                return await this._runMiddleware(context, async () => {
+                    let methodInfo = this._methods[method];
+                    if (methodInfo.arguments !== null) {
+                        // 4) Map the parameters onto the declared arguments and check if the client has provided valid parameters
+                        let mapped = this._mapArguments(method, context.parameters);
+                        this._validateParameters(method, mapped);
+                        // 5) Execute the method with the arguments in declared order, followed by the session, the connection and the abort signal
+                        let values = methodInfo.arguments.map(argument => mapped[argument.name]);
+                        return methodInfo.callback(...values, session, connection, controller.signal);
+                    }
+                    // 4) Check if the client has provided valid parameters
+                    this._validateParameters(method, context.parameters);
+                    // 5) Execute the method, the callback receives an abort signal which fires on timeout or cancellation
+                    return methodInfo.callback(context.parameters, session, connection, controller.signal);
+                });
+            } finally {
+                // The slot is held until the callback has finished, also when the request timed out or was cancelled before
+                if (limited) {
+                    this._releaseSlot();
+                }
+            }
+        };
+        let result = await this._withTimeout(method, controller, execution());
+
+        // 6) Check if the result matches the result schema
+        this._validateResult(method, result);
+
+        // 7) Remember the new token when the method rotated the token of the session, for the remaining requests of a batch
+        if ((rotatedTokens !== null) && (session !== null) && (typeof session.getIdentifier === "function") && (session.getIdentifier() !== identifier)) {
+            rotatedTokens[token] = (typeof this._sessionManager.issueToken === "function") ? this._sessionManager.issueToken(session) : session.getIdentifier();
+        }
+
+        return result;
+    }
+
+    _acquireSlot(signal) {
+        // Resolves once the method may be executed without exceeding the concurrency limit, rejects with the abort reason
+        // when the request times out or is cancelled while waiting
+        if (signal.aborted) {
+            return Promise.reject(signal.reason);
+        }
+        if ((this._opts.concurrency === null) || (this._running < this._opts.concurrency)) {
+            this._running++;
+            return Promise.resolve();
+        }
+        return new Promise((resolve, reject) => {
+            let onAbort = () => {
+                this._waiting = this._waiting.filter(item => item !== waiter);
+                reject(signal.reason);
+            };
+            let waiter = () => {
+                signal.removeEventListener("abort", onAbort);
+                resolve();
+            };
+            signal.addEventListener("abort", onAbort, { once: true });
+            this._waiting.push(waiter);
+        });
+    }
+
+    _releaseSlot() {
+        if (this._waiting.length > 0) {
+            // Hand the slot over to the first waiting execution
+            this._waiting.shift()();
+        } else {
+            this._running--;
+        }
+    }
+
+    async _withTimeout(method, controller, promise) {
+        // Resolves with the promise, or rejects with the abort reason when the request times out or is cancelled
+        let timeout = this._methods[method].timeout;
+        if (timeout === null) {
+            timeout = this._opts.timeout;
+        }
+        let timer = null;
+        let onAbort = null;
+        let aborted = new Promise((resolve, reject) => {
+            onAbort = () => reject(controller.signal.reason);
+            if (controller.signal.aborted) {
+                onAbort();
+            } else {
+                controller.signal.addEventListener("abort", onAbort, { once: true });
+            }
+        });
+        if ((timeout !== null) && (timeout > 0)) {
+            timer = setTimeout(() => controller.abort(this._errors.timeout), timeout);
+        }
+        try {
+            return await Promise.race([promise, aborted]);
+        } finally {
+            clearTimeout(timer);
+            controller.signal.removeEventListener("abort", onAbort);
+        }
+    }
+
+    _cancel(id, connection) {
+        if ((typeof connection !== "object") || (connection === null) || (!this._requestsInProgress.has(connection))) {
+            return false;
+        }
+        let requests = this._requestsInProgress.get(connection);
+        if (!requests.has(id)) {
+            return false;
+        }
+        requests.get(id).abort(this._errors.cancelled);
+        requests.delete(id);
+        return true;
+    }
+
+    async _runMiddleware(context, execute) {
+        let result;
+        let shortCircuited = false;
+        let index = 0;
+        // Before hooks run in the order in which the middleware was added, returning anything other than undefined skips the method
+        for (; index < this._middleware.length; index++) {
+            if (typeof this._middleware[index].before === "function") {
+                let value = await this._middleware[index].before(context);
+                if (typeof value !== "undefined") {
+                    result = value;
+                    shortCircuited = true;
+                    break;
+                }
+            }
+        }
+        if (!shortCircuited) {
+            result = await execute();
+        }
+        // After hooks run in reverse order, only for middleware of which the before hook did not short-circuit
+        for (index--; index >= 0; index--) {
+            if (typeof this._middleware[index].after === "function") {
+                let value = await this._middleware[index].after(context, result);
+                if (typeof value !== "undefined") {
+                    result = value;
+                }
+            }
+        }
+        return result;
+    }
+
+    _createArgumentsSchema(name, args) {
+        // Creates a parameter schema describing an object containing the declared arguments
+        if (!Array.isArray(args)) {
+            throw Error("Expected the arguments of method \"" + name + "\" to be an array");
+        }
+        let schema = {
+            type: "object",
+            properties: {},
+            required: [],
+            additionalProperties: false
+        };
+        for (let index = 0; index < args.length; index++) {
+            let argument = args[index];
+            if ((typeof argument !== "object") || (argument === null) || (typeof argument.name !== "string")) {
+                throw Error("Expected argument " + index + " of method \"" + name + "\" to be an object with a name");
+            }
+            let property = Object.assign({}, (typeof argument.schema === "object") ? argument.schema : {});
+            if (typeof argument.description === "string") {
+                property.description = argument.description;
+            }
+            if ("default" in argument) {
+                property.default = argument.default;
+            } else {
+                schema.required.push(argument.name);
+            }
+            schema.properties[argument.name] = property;
+        }
+        return schema;
+    }
+
+    _mapArguments(method, parameters) {
+        // Maps positional (array) or by-name (object) parameters onto the declared arguments and fills in default values
+        let args = this._methods[method].arguments;
+        let mapped = {};
+        if (Array.isArray(parameters)) {
+            if (parameters.length > args.length) {
+                throw {
+                    code: this._errors.parameters.code,
+                    message: this._errors.parameters.message,
+                    data: "Expected at most " + args.length + " parameters"
+                };
+            }
+            for (let index = 0; index < parameters.length; index++) {
+                mapped[args[index].name] = parameters[index];
+            }
+        } else if ((typeof parameters === "object") && (parameters !== null)) {
+            // Unknown names are rejected like surplus positional parameters, instead of being removed by the validator
+            let names = args.map(argument => argument.name);
+            let unknown = Object.keys(parameters).filter(name => !names.includes(name));
+            if (unknown.length > 0) {
+                throw {
+                    code: this._errors.parameters.code,
+                    message: this._errors.parameters.message,
+                    data: "Unknown parameters: " + unknown.join(", ")
+                };
+            }
+            mapped = Object.assign({}, parameters);
+        } else if (parameters !== null) {
+            throw {
+                code: this._errors.parameters.code,
+                message: this._errors.parameters.message,
+                data: "Expected the parameters to be an array or an object"
+            };
+        }
+        for (let index = 0; index < args.length; index++) {
+            if ((typeof mapped[args[index].name] === "undefined") && ("default" in args[index])) {
+                // Copied so that a method modifying its arguments doesn't change the default, defaults are JSON values
+                mapped[args[index].name] = JSON.parse(JSON.stringify(args[index].default));
+            }
+        }
+        return mapped;
+    }
+
+    _validateParameters(method, parameters) {
         if (this._methods[method].noParameters) {
             // Function expects no parameters
             if (parameters !== null) {
                 throw {
                     code: this._errors.parameters.code,
                     message: this._errors.parameters.message,
-                    reason: "Expected no parameters"
+                    data: "Expected no parameters"
                 };
             }
         } else {
@@ -347,60 +1087,152 @@ class Rpc {
                 throw {
                     code: this._errors.parameters.code,
                     message: this._errors.parameters.message,
-                    reason: ajvValidate.errors
+                    data: ajvValidate.errors
                 };
             }
         }
-        
-        // 4) Execute the method
-        return this._methods[method].callback(parameters, session, connection);
+    }
+
+    _validateResult(method, result) {
+        let mode = this._methods[method].resultValidation;
+        if (mode === null) {
+            mode = this._opts.resultValidation;
+        }
+        let ajvValidate = this._methods[method].resultValidator;
+        if ((mode === "off") || (ajvValidate === null)) {
+            return;
+        }
+        if (!ajvValidate(result)) {
+            if (mode === "strict") {
+                throw {
+                    code: this._errors.result.code,
+                    message: this._errors.result.message,
+                    data: ajvValidate.errors
+                };
+            }
+            console.error("Result of RPC call to '" + method + "' does not match the result schema", ajvValidate.errors);
+        }
+    }
+    
+    _translateError(exception) {
+        // Translates anything thrown while executing a method into a JSON-RPC error object
+        if (typeof exception === "string") {
+            return {
+                code: this._errors.returnString.code,
+                message: exception
+            };
+        }
+        if ((typeof exception === "object") && (exception !== null)) {
+            if (exception instanceof RpcError) {
+                return exception.serialize();
+            }
+            if (exception instanceof Error) {
+                if (exception.message === "Access denied") {
+                    return this._errors.permission;
+                }
+                return {
+                    code: this._errors.returnError.code,
+                    message: exception.message
+                };
+            }
+            return Object.assign({
+                code: this._errors.returnCustom.code,
+                message: this._errors.returnCustom.message
+            }, exception);
+        }
+        return this._errors.internal;
+    }
+
+    getHttpStatus(error) {
+        // Returns the HTTP status code for an error returned by handleHttpRequest, either as object or as JSON string
+        if (typeof error === "string") {
+            try {
+                error = JSON.parse(error);
+            } catch (exception) {
+                return 500;
+            }
+        }
+        if ((typeof error !== "object") || (error === null)) {
+            return 500;
+        }
+        if ((error instanceof RpcError) && (error.httpStatus !== null)) {
+            return error.httpStatus;
+        }
+        for (let name in this._applicationErrors) {
+            if (this._applicationErrors[name].code === error.code) {
+                return this._applicationErrors[name].httpStatus;
+            }
+        }
+        if (error.code in this._errorHttpStatus) {
+            return this._errorHttpStatus[error.code];
+        }
+        return 500;
+    }
+
+    _createResponse(id = null, result = null, error = null) {
+        // Creates a response envelope, containing either a result or an error as defined in JSON-RPC 2.0
+        if (typeof result === "undefined") {
+            result = null;
+        }
+        if (this._opts.legacyResponses) {
+            // Legacy envelope, always containing both the result and the error field
+            return {jsonrpc: "2.0", id: id, result: result, error: error};
+        }
+        if (error !== null) {
+            return {jsonrpc: "2.0", id: id, error: error};
+        }
+        return {jsonrpc: "2.0", id: id, result: result};
     }
     
-    async _handle(request, connection, token = null) {
-        let response = {jsonrpc: "2.0", id: null, result: null, error: null};
+    async _handle(request, connection, token = null, rotatedTokens = null) {
+        let result = null;
+        let error = null;
         
         // 1) Check if the request is valid
-        if ((typeof request !== "object") || (typeof request.jsonrpc !== "string") || (request.jsonrpc !== "2.0") || (typeof request.id === "undefined") || (typeof request.method !== "string")) {
-            response.error = this._errors.invalid;
-            return response;
+        if ((typeof request !== "object") || (request === null) || (typeof request.jsonrpc !== "string") || (request.jsonrpc !== "2.0") || (typeof request.method !== "string")) {
+            return this._createResponse(null, null, this._errors.invalid);
         }
+
+        // 2) A request without an identifier is a notification, notifications are executed but never answered
+        let isNotification = (typeof request.id === "undefined");
         
-        // 2) Fill in missing request fields
+        // 3) Fill in missing request fields
         request = Object.assign({ id: null, params: null, token: token }, request);
+        if (rotatedTokens !== null) {
+            // An earlier request of the same batch rotated the token, for example by logging in
+            while ((typeof request.token === "string") && Object.prototype.hasOwnProperty.call(rotatedTokens, request.token)) {
+                request.token = rotatedTokens[request.token];
+            }
+        }
         
-        // 3) Copy the request identifier into the response
-        response.id = request.id;
-        
-        // 4) Execute the request and return either a result or an error
-        try {
-            response.result = await this._execute(request.method, request.params, request.token, connection);
-        } catch (error) {
-            if (typeof error === "string") {
-                response.error = {
-                    code: this._errors.returnString.code,
-                    message: error
-                };
-            } else if (typeof error === "object") {
-                if (error instanceof Error) {
-                    if (error.message === "Access denied") {
-                        response.error = this._errors.permission;
-                    } else {
-                        response.error = {
-                            code: this._errors.returnError.code,
-                            message: error.message
-                        };
-                    }
-                } else {
-                    response.error = error;
-                }
-            } else {
-                response.error = this._errors.internal;
+        // 4) Keep track of the request so that the client can cancel it via the same connection
+        let controller = new AbortController();
+        let requests = null;
+        if ((typeof connection === "object") && (connection !== null) && (request.id !== null)) {
+            if (!this._requestsInProgress.has(connection)) {
+                this._requestsInProgress.set(connection, new Map());
             }
+            requests = this._requestsInProgress.get(connection);
+            requests.set(request.id, controller);
+        }
+
+        // 5) Execute the request and return either a result or an error
+        try {
+            result = await this._execute(request.method, request.params, request.token, connection, controller, rotatedTokens);
+        } catch (exception) {
+            error = this._translateError(exception);
             if (this._verbose) {
-                console.error("RPC call to '" + request.method + "' failed", error);
+                console.error("RPC call to '" + request.method + "' failed", exception);
+            }
+        } finally {
+            if ((requests !== null) && (requests.get(request.id) === controller)) {
+                requests.delete(request.id);
             }
         }
-        return response;
+        if (isNotification) {
+            return null;
+        }
+        return this._createResponse(request.id, result, error);
     }
     
     async handle(request, connection = null, token = null) {
@@ -409,26 +1241,53 @@ class Rpc {
             try {
                 request = JSON.parse(request);
             } catch (error) {
-                return JSON.stringify({jsonrpc: "2.0", id: null, result: null, error: this._errors.parse});
+                return JSON.stringify(this._createResponse(null, null, this._errors.parse));
             }
         }
         
         // 2) If the request isn"t an existing object
         if ((typeof request !== "object") || (request === null)) {
-            return JSON.stringify({jsonrpc: "2.0", id: null, result: null, error: this._errors.invalid});
+            return JSON.stringify(this._createResponse(null, null, this._errors.invalid));
         }
         
-        // 3) Execute the request
+        // 3) Execute the request, returns null when there is nothing to respond with (notifications)
         if (Array.isArray(request)) {
             // The request is an array containing multiple requests
-            let promises = [];
-            for (let index = 0; index < request.length; index++) {
-                promises.push(this._handle(request[index], connection, token));
+            if (request.length < 1) {
+                return JSON.stringify(this._createResponse(null, null, this._errors.invalid));
+            }
+            if ((this._opts.maxBatchSize !== null) && (request.length > this._opts.maxBatchSize)) {
+                return JSON.stringify(this._createResponse(null, null, {
+                    code: this._errors.batchSize.code,
+                    message: this._errors.batchSize.message,
+                    data: { maxBatchSize: this._opts.maxBatchSize }
+                }));
+            }
+            let responses = [];
+            if (this._opts.sequentialBatches) {
+                let rotatedTokens = {}; // Tokens rotated by earlier requests in the batch, by previous token
+                for (let index = 0; index < request.length; index++) {
+                    responses.push(await this._handle(request[index], connection, token, rotatedTokens));
+                }
+            } else {
+                let promises = [];
+                for (let index = 0; index < request.length; index++) {
+                    promises.push(this._handle(request[index], connection, token));
+                }
+                responses = await Promise.all(promises);
             }
-            return JSON.stringify(await Promise.all(promises));
+            responses = responses.filter(response => response !== null);
+            if (responses.length < 1) {
+                return null;
+            }
+            return JSON.stringify(responses);
         } else {
             // The request is a singular request
-            return JSON.stringify(await this._handle(request, connection, token));
+            let response = await this._handle(request, connection, token);
+            if (response === null) {
+                return null;
+            }
+            return JSON.stringify(response);
         }
     }
 
@@ -439,25 +1298,16 @@ class Rpc {
         try {
             let result = await this._execute(url, parameters, token);
             return JSON.stringify(result);
-        } catch (error) {
-            if (typeof error === "string") {
-                error = Object.assign(this._errors.returnString, {message: error});
-            } else if (typeof error === "object") {
-                if (error instanceof Error) {
-                    error = Object.assign(this._errors.returnError, {message: error.message});
-                    if (error.message === "Access denied") {
-                        error = this._errors.permission;
-                    }
-                } else {
-                    error = Object.assign(this._errors.returnCustom, error);
-                }
-            } else {
-                error = this._errors.internal;
-            }
+        } catch (exception) {
+            let error = this._translateError(exception);
             if (this._verbose) {
                 console.error("HTTP request RPC call to '" + url + "' failed", error);
             }
-            throw JSON.stringify(error);
+            // Rejects with the response body and the HTTP status, an RpcError can specify its own status
+            throw {
+                body: JSON.stringify(error),
+                httpStatus: this.getHttpStatus(((exception instanceof RpcError) && (exception.httpStatus !== null)) ? exception : error)
+            };
         }
     }
 }
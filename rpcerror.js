@@ -0,0 +1,35 @@
+/**
+ * Copyright 2023 Renze Nicolai
+ * SPDX-License-Identifier: MIT
+ */
+
+"use strict";
+
+class RpcError extends Error {
+    constructor(message, code = -32003, data = null, httpStatus = null) {
+        super(message);
+        this.name = "RpcError";
+
+        // JSON-RPC error code returned to the client
+        this.code = code;
+
+        // Additional information about the error, returned in the data member of the error
+        this.data = data;
+
+        // HTTP status used when the method was called via a plain HTTP request, null uses the status of the error code
+        this.httpStatus = httpStatus;
+    }
+
+    serialize() {
+        let error = {
+            code: this.code,
+            message: this.message
+        };
+        if (this.data !== null) {
+            error.data = this.data;
+        }
+        return error;
+    }
+}
+
+module.exports = RpcError;
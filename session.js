@@ -6,21 +6,54 @@
 "use strict";
 
 const crypto = require("crypto");
+const util = require("util");
+const EventEmitter = require("events");
+const Router = require("./router.js");
+const PermissionEngine = require("./permissions.js");
+const { MemorySessionStore } = require("./sessionstore.js");
+const OutboundQueue = require("./outboundqueue.js");
+const RpcError = require("./rpcerror.js");
+
+// Errors returned by the "session/login" method, the codes are in the range reserved by the Rpc class for this library
+const loginErrors = {
+    credentials: { code: -32009, message: "Invalid credentials", httpStatus: 401 },
+    throttled:   { code: -32010, message: "Too many failed login attempts, try again later", httpStatus: 429 }
+};
+
+/*
+ * Events emitted by a session:
+ *  - "use":        the session was used to execute a request
+ *  - "user":       (user) a user account was associated with the session, user is null when the user account was removed
+ *  - "connect":    (connection) a connection was attached to the session
+ *  - "disconnect": (connection) a connection attached to the session was closed
+ *  - "expiry":     the expiry policy of the session was changed
+ *  - "permissions": (permission, granted) a permission was added to (granted is true) or removed from the session
+ *  - "rotate":     (previousIdentifier) the session was given a new identifier
+ */
+
+class Session extends EventEmitter {
+    constructor(aPermissions = [], aRpcMethodPrefix = "", aPermissionEngine = null, aTimeout = null, aMaxAge = null) {
+        super();
 
-class Session {
-    constructor(aPermissions = [], aRpcMethodPrefix = "") {
         // The unique identifier for this session
         this._id = crypto.randomBytes(64).toString("base64");
         
         // Unix timestamps for keeping track of the amount of seconds this session has been idle
         this._dateCreated = Math.floor(Date.now() / 1000);
         this._dateLastUsed = this._dateCreated;
+
+        // Expiry policy: amount of seconds the session may be idle and the maximum amount of seconds the session may exist, null for no limit
+        this._timeout = aTimeout;
+        this._maxAge = aMaxAge;
         
         // Prefix for RPC methods of the SessionManager
         this._parentRpcMethodPrefix = aRpcMethodPrefix;
         
         // List of methods which this session may call (may be extended by the associated user account)
         this._permissions = aPermissions;
+
+        // Engine used for matching method names against permissions (patterns, denies and roles)
+        this._permissionEngine = (aPermissionEngine !== null) ? aPermissionEngine : new PermissionEngine();
         
         // User account associated with this session
         this._user = null;
@@ -37,6 +70,14 @@ class Session {
         return this._id;
     }
     
+    regenerateIdentifier() {
+        // Replace the identifier of this session with a new unique identifier, connections and subscriptions are kept
+        let previousIdentifier = this._id;
+        this._id = crypto.randomBytes(64).toString("base64");
+        this.emit("rotate", previousIdentifier);
+        return this._id;
+    }
+
     getCreatedAt() {
         // Returns a unix timestamp representing the moment this session was created
         return this._dateCreated;
@@ -47,14 +88,54 @@ class Session {
         return this._dateLastUsed;
     }
     
+    setExpiryPolicy(timeout, maxAge) {
+        // Set the amount of seconds the session may be idle and the maximum amount of seconds the session may exist, null for no limit
+        this._timeout = timeout;
+        this._maxAge = maxAge;
+        this.emit("expiry");
+    }
+
+    getExpiresAt() {
+        // Returns a unix timestamp representing the moment this session expires when it is not used again, or null if it never expires
+        let expiresAt = null;
+        if (this._timeout !== null) {
+            expiresAt = this._dateLastUsed + this._timeout;
+        }
+        let absoluteExpiresAt = this.getAbsoluteExpiresAt();
+        if ((absoluteExpiresAt !== null) && ((expiresAt === null) || (absoluteExpiresAt < expiresAt))) {
+            expiresAt = absoluteExpiresAt;
+        }
+        return expiresAt;
+    }
+
+    getAbsoluteExpiresAt() {
+        // Returns a unix timestamp representing the moment this session expires regardless of use, or null if there is no maximum lifetime
+        return (this._maxAge !== null) ? (this._dateCreated + this._maxAge) : null;
+    }
+
+    isExpired(now = Math.floor(Date.now() / 1000)) {
+        let expiresAt = this.getExpiresAt();
+        return (expiresAt !== null) && (expiresAt <= now);
+    }
+    
     use() {
         // Update the timestamp representing the moment this session was last used to the current time
         this._dateLastUsed = Math.floor(Date.now() / 1000);
+        this.emit("use");
     }
     
     setUser(user) {
         // Set the associated user account, to remove the associated account the user must be set to null
         this._user = user;
+        if ((user !== null) && (typeof user.getSessionPolicy === "function")) {
+            // The user account may override the expiry policy, for example for remember-me logins
+            let policy = user.getSessionPolicy();
+            this.setExpiryPolicy(
+                (typeof policy.timeout !== "undefined") ? policy.timeout : this._timeout,
+                (typeof policy.maxAge !== "undefined") ? policy.maxAge : this._maxAge
+            );
+        }
+        this.emit("user", user);
     }
     
     getUser() {
@@ -65,18 +146,31 @@ class Session {
         return this._user;
     }
     
+    _getGrantedPermissions() {
+        // Get the permissions of this session combined with the permissions and roles of the associated user account
+        let permissions = this._permissions;
+        if (this._user !== null) {
+            if (typeof this._user.getPermissions === "function") {
+                permissions = permissions.concat(this._user.getPermissions());
+            }
+            if (typeof this._user.getRoles === "function") {
+                permissions = permissions.concat(this._user.getRoles().map(role => "@" + role));
+            }
+        }
+        return permissions;
+    }
+    
     getPermissions() {
-        // Get the full list of methods this session is permitted to call
-        let userPermissions = this._user ? ((typeof this._user.getPermissions === "function") ? this._user.getPermissions() : []) : [];
-        return this._permissions.concat(userPermissions);
+        // Get the full list of permissions of this session, with roles expanded and denied patterns prefixed with "!"
+        let resolved = this._permissionEngine.resolve(this._getGrantedPermissions());
+        return resolved.allow.concat(resolved.deny.map(pattern => "!" + pattern));
     }
 
     checkPermission(methodName) {
         // Check weither or not a specific method may be called by this session
-        for (let index = 0; index < this._permissions.length; index++) {
-            if (this._permissions[index] === methodName) {
-                return true;
-            }
+        let result = this._permissionEngine.check(this._getGrantedPermissions(), methodName);
+        if (result !== null) {
+            return result;
         }
         if ((this._user !== null) && (typeof this._user.checkPermission === "function")) {
             return this._user.checkPermission(methodName);
@@ -90,6 +184,7 @@ class Session {
         if (!this._permissions.includes(methodName)) {
             this._permissions.push(methodName);
             result = true;
+            this.emit("permissions", methodName, true);
         }
         return result;
     }
@@ -100,6 +195,7 @@ class Session {
         if (this._permissions.includes(methodName)) {
             this._permissions = this._permissions.filter(item => item !== methodName);
             result = true;
+            this.emit("permissions", methodName, false);
         }
         return result;
     }
@@ -112,14 +208,16 @@ class Session {
         throw new Error("Unknown connection");
     }
     
-    subscribe(subject, identifier = "anonymous") {
-        // Subscribe to a pushmessage topic
+    subscribe(subject, identifier = "anonymous", filter = null) {
+        // Subscribe to a pushmessage topic or a pattern of topics like "orders/*", a filter limits the subscription to
+        // messages of which the properties have the values in the filter. Subscriptions with a filter are stored as an object.
         if (!this.checkPermission(subject)) {
             throw new Error("Access denied");
         }
         if (identifier in this._subscriptions) {
-            if (!this._subscriptions[identifier].includes(subject)) {
-                this._subscriptions[identifier].push(subject);
+            let subscription = (filter === null) ? subject : { topic: subject, filter: filter };
+            if (!this._subscriptions[identifier].some(item => util.isDeepStrictEqual(item, subscription))) {
+                this._subscriptions[identifier].push(subscription);
                 return true;
             }
             return false;
@@ -127,16 +225,42 @@ class Session {
         throw new Error("Unknown connection");
     }
 
-    unsubscribe(subject, identifier = "anonymous") {
-        // Unsubscribe from a pushmessage topic
+    unsubscribe(subject, identifier = "anonymous", filter = null) {
+        // Unsubscribe from a pushmessage topic, without a filter all subscriptions to the topic are removed
         if (identifier in this._subscriptions) {
-            if (this._subscriptions[identifier].includes(subject)) {
-                this._subscriptions[identifier] = this._subscriptions[identifier].filter(item => item !== subject);
-                return true;
+            let subscriptions = this._subscriptions[identifier].filter((item) => {
+                if (filter === null) {
+                    return ((typeof item === "string") ? item : item.topic) !== subject;
+                }
+                return !util.isDeepStrictEqual(item, { topic: subject, filter: filter });
+            });
+            let result = (subscriptions.length !== this._subscriptions[identifier].length);
+            this._subscriptions[identifier] = subscriptions;
+            return result;
+        }
+        throw new Error("Unknown connection");
+    }
+
+    _matchesSubscription(subscription, subject, message) {
+        let topic = (typeof subscription === "string") ? subscription : subscription.topic;
+        if (topic !== subject) {
+            // Topics matching a pattern are only delivered when the session may receive that specific topic
+            if ((!/[*?]/.test(topic)) || (!this._permissionEngine.matches(topic, subject)) || (!this.checkPermission(subject))) {
+                return false;
             }
+        }
+        if (typeof subscription === "string") {
+            return true;
+        }
+        if ((typeof message !== "object") || (message === null)) {
             return false;
         }
-        throw new Error("Unknown connection");
+        for (let key in subscription.filter) {
+            if (!util.isDeepStrictEqual(message[key], subscription.filter[key])) {
+                return false;
+            }
+        }
+        return true;
     }
     
     serialize() {
@@ -145,15 +269,33 @@ class Session {
             user: this.getUser(),
             dateCreated: this._dateCreated,
             dateLastUsed: this._dateLastUsed,
+            timeout: this._timeout,
+            maxAge: this._maxAge,
             subscriptions: this._subscriptions,
             permissions: this._permissions
         };
     }
     
+    static deserialize(data, aRpcMethodPrefix = "", aPermissionEngine = null, deserializeUser = null) {
+        // Restore a session from the output of serialize, connections and subscriptions are not restored
+        let session = new Session(data.permissions, aRpcMethodPrefix, aPermissionEngine);
+        session._id = data.id;
+        session._dateCreated = data.dateCreated;
+        session._dateLastUsed = data.dateLastUsed;
+        session._timeout = (typeof data.timeout !== "undefined") ? data.timeout : null;
+        session._maxAge = (typeof data.maxAge !== "undefined") ? data.maxAge : null;
+        if ((typeof data.user !== "undefined") && (data.user !== null)) {
+            session._user = (typeof deserializeUser === "function") ? deserializeUser(data.user) : data.user;
+        }
+        return session;
+    }
+    
     summarize() {
         return {
             user: this.getUser(),
             dateCreated: this._dateCreated,
+            dateExpires: this.getExpiresAt(),
+            dateExpiresAbsolute: this.getAbsoluteExpiresAt(),
             subscriptions: this._subscriptions,
             permissions: this._permissions
         };
@@ -177,6 +319,7 @@ class Session {
             this._connections[connection.smIdentifier] = connection;
             // Add cleanup hook to the connection
             connection.on("close", this._onConnectionClose.bind(this, connection));
+            this.emit("connect", connection);
         }
 
         // Add the connection identifier to the subscriptions list if needed
@@ -185,6 +328,22 @@ class Session {
         }
     }
 
+    getConnections() {
+        // Returns the connections attached to this session
+        return Object.values(this._connections);
+    }
+
+    closeConnections() {
+        // Close all connections attached to this session, returns the amount of connections closed
+        let connections = this.getConnections();
+        for (let index = 0; index < connections.length; index++) {
+            if (typeof connections[index].close === "function") {
+                connections[index].close();
+            }
+        }
+        return connections.length;
+    }
+
     _onConnectionClose(connection) {
         if (connection.smIdentifier in this._connections) {
             delete this._connections[connection.smIdentifier];
@@ -192,39 +351,231 @@ class Session {
         if (connection.smIdentifier in this._subscriptions) {
             delete this._subscriptions[connection.smIdentifier];
         }
+        this.emit("disconnect", connection);
     }
     
-    async push(subject, message, identifier) {
-        let result = false;
-        for (let identifier in this._subscriptions) {
-            if (this._subscriptions[identifier].includes(subject)) {
-                await this._connections[identifier].send(JSON.stringify({
-                    pushMessage: true,
-                    subject: subject,
-                    message: message
-                }));
-                result = true;
+    _getOutboundQueue(connection) {
+        // Push messages are sent through a queue per connection, created with the default options when the session manager didn't create one
+        if (!(connection.smQueue instanceof OutboundQueue)) {
+            connection.smQueue = new OutboundQueue(connection);
+        }
+        return connection.smQueue;
+    }
+
+    _notify(subject, message) {
+        // Send a message to all connections attached to this session, regardless of their subscriptions
+        for (let identifier in this._connections) {
+            this._getOutboundQueue(this._connections[identifier]).enqueue(JSON.stringify({
+                pushMessage: true,
+                subject: subject,
+                message: message
+            }), subject);
+        }
+    }
+
+    hasConnection(identifier) {
+        // Checks if the connection with the supplied identifier is attached to this session
+        return (identifier in this._connections);
+    }
+
+    isSubscribed(identifier, subject, message) {
+        // Checks if the connection with the supplied identifier is subscribed to a push message
+        if (!(identifier in this._subscriptions)) {
+            return false;
+        }
+        return this._subscriptions[identifier].some(subscription => this._matchesSubscription(subscription, subject, message));
+    }
+
+    async push(subject, message, identifier = null, sequence = null) {
+        // Send a push message to the subscribed connections, or only to the connection with the supplied identifier when subscribed,
+        // returns the amount of connections the message was sent or queued for and the amount of connections which failed or were closed
+        let identifiers = (identifier !== null) ? [identifier] : Object.keys(this._subscriptions);
+        let frame = {
+            pushMessage: true,
+            subject: subject,
+            message: message
+        };
+        if (sequence !== null) {
+            frame.sequence = sequence;
+        }
+        let data = JSON.stringify(frame);
+        let result = { delivered: 0, failed: 0 };
+        for (let index = 0; index < identifiers.length; index++) {
+            let connection = this._connections[identifiers[index]];
+            if ((typeof connection !== "undefined") && this.isSubscribed(identifiers[index], subject, message)) {
+                // Messages are queued when the connection can't keep up, a slow or failing connection doesn't delay the others
+                if (this._getOutboundQueue(connection).enqueue(data, subject)) {
+                    result.delivered++;
+                } else {
+                    result.failed++;
+                }
             }
         }
         return result;
     }
 }
 
-class SessionManager {
+class ExpiryQueue {
+    // Binary min-heap of session identifiers, ordered by the moment the session expires
+    constructor() {
+        this._heap = [];
+    }
+
+    get size() {
+        return this._heap.length;
+    }
+
+    push(id, expiresAt) {
+        this._heap.push({ id: id, expiresAt: expiresAt });
+        let index = this._heap.length - 1;
+        while (index > 0) {
+            let parent = (index - 1) >> 1;
+            if (this._heap[parent].expiresAt <= this._heap[index].expiresAt) {
+                break;
+            }
+            [this._heap[parent], this._heap[index]] = [this._heap[index], this._heap[parent]];
+            index = parent;
+        }
+    }
+
+    peek() {
+        return (this._heap.length > 0) ? this._heap[0] : null;
+    }
+
+    pop() {
+        if (this._heap.length < 1) {
+            return null;
+        }
+        let top = this._heap[0];
+        let last = this._heap.pop();
+        if (this._heap.length > 0) {
+            this._heap[0] = last;
+            let index = 0;
+            for (;;) {
+                let smallest = index;
+                let left = 2 * index + 1;
+                let right = left + 1;
+                if ((left < this._heap.length) && (this._heap[left].expiresAt < this._heap[smallest].expiresAt)) {
+                    smallest = left;
+                }
+                if ((right < this._heap.length) && (this._heap[right].expiresAt < this._heap[smallest].expiresAt)) {
+                    smallest = right;
+                }
+                if (smallest === index) {
+                    break;
+                }
+                [this._heap[smallest], this._heap[index]] = [this._heap[index], this._heap[smallest]];
+                index = smallest;
+            }
+        }
+        return top;
+    }
+}
+
+/*
+ * Events emitted by the session manager:
+ *  - "create":     (session) a session was created
+ *  - "restore":    (session) a session was restored from the session store
+ *  - "use":        (session) a session was used to execute a request
+ *  - "user":       (session, user) a user account was associated with a session, user is null when the user account was removed
+ *  - "connect":    (session, connection) a connection was attached to a session
+ *  - "disconnect": (session, connection) a connection attached to a session was closed
+ *  - "expire":     (session) a session was removed because it expired
+ *  - "destroy":    (session) a session was destroyed
+ *  - "rotate":     (session, previousIdentifier) a session was given a new identifier
+ */
+
+class SessionManager extends EventEmitter {
     constructor(opts={}) {
+        super();
+
         this._opts = Object.assign({
-            timeout: null,
-            userSchema: {}
+            timeout: null, // Default amount of seconds a session may be idle before it expires, null for no limit
+            maxAge: null, // Default maximum amount of seconds a session may exist, regardless of use, null for no limit
+            userSchema: {},
+            roles: {}, // Permissions granted by each role, for example { admin: ["**"], user: ["orders/*", "!orders/delete"] }
+            store: null, // Session store, null keeps the sessions in memory
+            deserializeUser: null, // Function converting a serialized user back into a user object when restoring sessions from the store
+            createHooks: [], // Functions called as (session, parameters, connection) before a new session is stored, see addCreateHook
+            tokenSigner: null, // TokenSigner used for issuing signed tokens instead of session identifiers, null disables signed tokens
+            tokenLifetime: 3600, // Amount of seconds a signed token is valid
+            maxForeignSessions: 10000, // Maximum amount of sessions of other processes kept while their signed tokens are in use
+            authenticators: [], // Authenticators used by the "session/login" method, see authenticators.js
+            loginAttempts: 5, // Amount of failed login attempts allowed per session and per username within the login window
+            loginWindow: 300, // Amount of seconds after which failed login attempts are forgotten
+            rotateOnLogin: true, // Give a session a new identifier when logging in or out using "session/login" and "session/logout", prevents session fixation
+            rotateOnUserChange: true, // Give a session a new identifier whenever a user account is associated with it or removed from it using setUser
+            rotateOnPermissionGrant: true, // Give a stored session a new identifier whenever a permission is added to it
+            outboundQueue: {}, // Options of the outbound push message queue of each connection, see outboundqueue.js
+            broker: null, // Broker distributing push messages to session managers in other processes, see brokers.js
+            replayBufferSize: 100, // Amount of push messages kept per topic for replay to reconnecting clients, 0 disables replay
+            pushValidation: "log" // Validation of push messages against the schema of their topic: "off", "log" (log invalid messages and unknown topics) or "strict" (reject them, callers have to handle the rejection)
         }, opts);
 
-        this.sessions = [];
+        if (!["off", "log", "strict"].includes(this._opts.pushValidation)) {
+            throw Error("Expected the push validation mode to be \"off\", \"log\" or \"strict\"");
+        }
+
+        if (typeof this._opts.outboundQueue.policy !== "undefined") {
+            OutboundQueue.checkPolicy(this._opts.outboundQueue.policy);
+        }
+
+        // Signed tokens: the key rotation and revocation API is available via this property
+        this.tokens = this._opts.tokenSigner;
+
+        // Sessions of other processes by identifier, built from the claims of the most recent signed token used for them
+        this._foreignSessions = new Map();
+
+        // Set by registerRpcMethods, initialized first because adding authenticators and restoring sessions depend on them
+        this._rpcMethodPrefix = "";
+        this._router = null;
+        this._rpc = null;
+
+        this._createHooks = this._opts.createHooks.slice();
+
+        // Authenticators by name and failed login attempts by session and by username
+        this._authenticators = {};
+        this._loginFailures = new Map();
+        for (let index = 0; index < this._opts.authenticators.length; index++) {
+            this.addAuthenticator(this._opts.authenticators[index]);
+        }
+
+        this.permissions = new PermissionEngine(this._opts.roles);
+
+        this._store = (this._opts.store !== null) ? this._opts.store : new MemorySessionStore();
+        this._restoredSessions = [];
+        this._store.load(this._deserializeSession.bind(this));
+        // Restore events are emitted once the constructor has returned, allowing listeners to be added first
+        let restoredSessions = this._restoredSessions;
+        this._restoredSessions = null;
+        process.nextTick(() => {
+            for (let index = 0; index < restoredSessions.length; index++) {
+                this.emit("restore", restoredSessions[index]);
+            }
+        });
+
         this.alwaysAllow = [];
+
+        // Sessions ordered by the moment they expire, entries are checked lazily: using a session does not update its entry
+        this._expiryQueue = new ExpiryQueue();
+        this._queuedExpiry = new Map(); // Moment of expiry of the most recent entry in the queue for each session
         
-        if (this._opts.timeout !== null) {
-            setTimeout(this._gc.bind(this), 5000);
+        let sessions = this._store.list();
+        for (let index = 0; index < sessions.length; index++) {
+            this._queueExpiry(sessions[index]);
         }
+        this._gcInterval = setInterval(this._gc.bind(this), 5000);
+        this._gcInterval.unref(); // Don't keep the process running just for cleaning up sessions
 
-        this._rpcMethodPrefix = "";
+        // Per push message topic: the sequence number of the most recent message and the messages kept for replay
+        this._pushHistory = new Map();
+
+        // Push messages published by other processes via the broker are delivered to the sessions in this process
+        this._nodeIdentifier = crypto.randomBytes(16).toString("hex");
+        this._onBrokerMessage = this._onBrokerMessage.bind(this);
+        if (this._opts.broker !== null) {
+            this._opts.broker.subscribe(this._onBrokerMessage);
+        }
 
         this._publicMethods = [];
 
@@ -232,224 +583,984 @@ class SessionManager {
     }
     
     /* Internal functions */
-    
-    _destroySession(id) {
-        for (var i in this.sessions) {
-            if (this.sessions[i].getIdentifier() === id) {
-                this.sessions.splice(i,1);
-                return true;
-            }
+
+    _deserializeSession(data) {
+        let session = Session.deserialize(data, this._rpcMethodPrefix, this.permissions, this._opts.deserializeUser);
+        if (typeof data.timeout === "undefined") {
+            // Stored before sessions had an expiry policy
+            session.setExpiryPolicy(this._opts.timeout, this._opts.maxAge);
         }
-        return false;
-    }
-    
-    _gc() {
-        if (this._opts.timeout === null) {
-            return;
+        this._forwardEvents(session);
+        if (this._restoredSessions !== null) {
+            this._restoredSessions.push(session);
+        } else {
+            this.emit("restore", session); // Stores which load sessions later on
         }
-        
-        var now = Math.floor((new Date()).getTime() / 1000);
-        
-        var sessionsToKeep = [];
-        for (var i in this.sessions) {
-            var unusedSince = now-this.sessions[i].getUsedAt();
-            if (unusedSince < this._opts.timeout) {
-                sessionsToKeep.push(this.sessions[i]);
+        return session;
+    }
+
+    _forwardEvents(session) {
+        // Re-emit the events of a session as events of the session manager
+        session.on("use", () => {
+            this._updateStored(session);
+            this.emit("use", session);
+        });
+        session.on("user", (user) => {
+            this._updateStored(session);
+            if (this._opts.rotateOnUserChange) {
+                this.rotateSession(session);
             }
-        }
-        
-        this.sessions = sessionsToKeep;
-        
-        // Reschedule the garbage collector
-        setTimeout(this._gc.bind(this), 5000);
+            this.emit("user", session, user);
+        });
+        session.on("permissions", (permission, granted) => {
+            this._updateStored(session);
+            // Sessions are not rotated while being created, when permissions are added by create hooks
+            if (granted && this._opts.rotateOnPermissionGrant && this._isStored(session)) {
+                this.rotateSession(session);
+            }
+        });
+        session.on("connect", (connection) => {
+            if (!(connection.smQueue instanceof OutboundQueue)) {
+                connection.smQueue = new OutboundQueue(connection, this._opts.outboundQueue);
+            }
+            this.emit("connect", session, connection);
+        });
+        session.on("disconnect", (connection) => this.emit("disconnect", session, connection));
+        session.on("expiry", () => {
+            this._updateStored(session);
+            this._queueExpiry(session);
+        });
     }
-    
-    /* System functions */
 
-    push(subject, message) { // Broadcast to all sessions
-        for (let index in this.sessions) {
-            this.sessions[index].push(subject, message);
+    _updateStored(session) {
+        // Tell the store a session has changed, so that stores writing to a file or database only write changed sessions
+        if (this._isStored(session)) {
+            this._store.set(session);
         }
     }
     
-    getSession(token) {
-        for (let index in this.sessions) {
-            if (this.sessions[index].getIdentifier()===token) {
-                return this.sessions[index];
-            }
+    _destroySession(id, reason = "destroy") {
+        let session = this._store.get(id);
+        if (session === null) {
+            return false;
         }
-        return null;
+        this._store.delete(id);
+        this._queuedExpiry.delete(id);
+        this._revokeTokens(id);
+        this.emit(reason, session);
+        return true;
     }
 
-    getSessions() {
-        return this.sessions;
-    }
-
-    setPublicMethods(methods) {
-        this._publicMethods = methods;
-    }
-    
-    setUserSchema(schema) {
-        this.userSchema = schema;
+    _revokeTokens(id) {
+        // Reject signed tokens issued for a session that no longer exists, until they would have expired anyway
+        if (this.tokens !== null) {
+            this.tokens.revoke(id, Math.floor(Date.now() / 1000) + this._opts.tokenLifetime);
+        }
     }
 
-    /* RPC API functions: management of individual sessions */
-
-    // eslint-disable-next-line no-unused-vars
-    async createSession(parameters, session) {
-        let newSession = new Session(this._publicMethods, this._rpcMethodPrefix); // The JSON operations here copy the permissions array
-        this.sessions.push(newSession);
-        return newSession.getIdentifier();
+    issueToken(session) {
+        // Returns a signed token containing the claims of the session, or the session identifier when signed tokens are disabled
+        if (this.tokens === null) {
+            return session.getIdentifier();
+        }
+        let now = Math.floor(Date.now() / 1000);
+        let expiresAt = now + this._opts.tokenLifetime;
+        let absoluteExpiresAt = session.getAbsoluteExpiresAt();
+        if ((absoluteExpiresAt !== null) && (absoluteExpiresAt < expiresAt)) {
+            expiresAt = absoluteExpiresAt;
+        }
+        return this.tokens.sign({
+            sid: session.getIdentifier(),
+            user: session.getUser(),
+            permissions: session.getPermissions(),
+            iat: now,
+            exp: expiresAt
+        });
     }
 
-    async destroyCurrentSession(parameters, session) {
-        let result = false;
-        for (var i in this.sessions) {
-            if (this.sessions[i] === session) {
-                this.sessions.splice(i,1);
-                result = true;
-                break;
+    _getSessionFromSignedToken(token) {
+        let claims = this.tokens.verify(token);
+        if (claims === null) {
+            return null;
+        }
+        let session = this._store.get(claims.sid);
+        if (session !== null) {
+            // The session exists in this process
+            if (session.isExpired()) {
+                this._destroySession(claims.sid, "expire");
+                return null;
             }
+            return session;
         }
-        return result;
-    }
-    
-    async state(parameters, session) {
-        if (session === null) {
-            throw new Error("No session");
+        // The session exists in another process, authorize using the claims of the token without storing the session.
+        // The session is kept while the token is used, so that connections are attached to the same session every request.
+        let foreign = this._foreignSessions.get(claims.sid);
+        if ((typeof foreign !== "undefined") && (foreign.token === token)) {
+            return foreign.session;
         }
-        return session.summarize();
-    }
-    
-    async listPermissionsForCurrentSession(parameters, session) {
-        if (session === null) {
-            throw new Error("No session");
+        let now = Math.floor(Date.now() / 1000);
+        session = Session.deserialize({
+            id: claims.sid,
+            user: claims.user,
+            permissions: claims.permissions,
+            dateCreated: claims.iat,
+            dateLastUsed: now
+        }, this._rpcMethodPrefix, this.permissions, this._opts.deserializeUser);
+        this._forwardEvents(session);
+        this._foreignSessions.delete(claims.sid); // Replaced by the session for the newer token
+        if (this._foreignSessions.size >= this._opts.maxForeignSessions) {
+            this._foreignSessions.delete(this._foreignSessions.keys().next().value);
         }
-        return session.getPermissions();
+        this._foreignSessions.set(claims.sid, { token: token, expiresAt: claims.exp, session: session });
+        return session;
     }
-    
-    async getSubscriptions(parameters, session, connection) {
-        if (session === null) {
-            throw new Error("No session");
-        }
-        if (connection === null) {
-            throw new Error("No persistent connection");
+
+    _isStored(session) {
+        return this._store.get(session.getIdentifier()) === session;
+    }
+
+    rotateSession(session) {
+        // Give a session a new identifier and invalidate the previous identifier and the tokens issued for it, returns the new token
+        let previousIdentifier = session.getIdentifier();
+        let stored = (this._store.get(previousIdentifier) === session);
+        if (stored) {
+            this._store.delete(previousIdentifier);
+            this._queuedExpiry.delete(previousIdentifier);
         }
-        if (typeof connection.smIdentifier !== "string") {
-            throw new Error("Connection doesn't have an identifier");
+        session.regenerateIdentifier();
+        if (stored) {
+            this._store.set(session);
+            this._queueExpiry(session);
         }
-        return session.getSubscriptions(connection.smIdentifier);
+        this._revokeTokens(previousIdentifier);
+        let token = this.issueToken(session);
+        // Connections attached to the session keep working, let the clients on the other end know the new token
+        session._notify(this._rpcMethodPrefix + "token", token);
+        this.emit("rotate", session, previousIdentifier);
+        return token;
     }
     
-    async subscribe(parameters, session, connection) {
-        if (session === null) {
-            throw new Error("No session");
-        }
-        if (connection === null) {
-            throw new Error("No persistent connection");
-        }
-        if (typeof connection.smIdentifier !== "string") {
-            throw new Error("Connection doesn't have an identifier");
-        }
-        if (typeof parameters === "string") {
-            return session.subscribe(parameters, connection.smIdentifier);
+    _queueExpiry(session) {
+        let expiresAt = session.getExpiresAt();
+        if (expiresAt !== null) {
+            this._queuedExpiry.set(session.getIdentifier(), expiresAt);
+            this._expiryQueue.push(session.getIdentifier(), expiresAt);
         } else {
-            let result = [];
-            for (let i = 0; i < parameters.length; i++) {
-                if (!session.checkPermission(parameters[i], true)) {
-                    throw new Error("Access denied");
-                }
+            this._queuedExpiry.delete(session.getIdentifier());
+        }
+    }
+    
+    _gc() {
+        let now = Math.floor(Date.now() / 1000);
+        
+        // Only sessions of which the entry has expired are visited, sessions used in the meantime are queued again
+        while ((this._expiryQueue.size > 0) && (this._expiryQueue.peek().expiresAt <= now)) {
+            let entry = this._expiryQueue.pop();
+            if (this._queuedExpiry.get(entry.id) !== entry.expiresAt) {
+                continue; // Superseded by a newer entry, queued when the expiry policy of the session changed
             }
-            for (let i = 0; i < parameters.length; i++) {
-                result.push(session.subscribe(parameters[i], connection.smIdentifier));
+            this._queuedExpiry.delete(entry.id);
+            let session = this._store.get(entry.id);
+            if (session === null) {
+                continue; // Already destroyed
+            }
+            if (session.isExpired(now)) {
+                this._destroySession(entry.id, "expire");
+            } else {
+                this._queueExpiry(session); // Sessions which no longer expire are queued again when their expiry policy changes
             }
-            return result;
         }
-    }
 
-    async unsubscribe(parameters, session, connection) {
-        if (session === null) {
-            throw new Error("No session");
-        }
-        if (connection === null) {
-            throw new Error("No persistent connection");
-        }
-        if (typeof connection.smIdentifier !== "string") {
-            throw new Error("Connection doesn't have an identifier");
+        for (let [key, failures] of this._loginFailures) {
+            if (failures.resetAt <= now) {
+                this._loginFailures.delete(key);
+            }
         }
-        if (typeof parameters === "string") {
-            let result = await session.unsubscribe(parameters, connection.smIdentifier);
-            return result;
-        } else {
-            let result = [];
-            for (let i = 0; i < parameters.length; i++) {
-                result.push(session.unsubscribe(parameters[i], connection.smIdentifier));
+
+        for (let [id, foreign] of this._foreignSessions) {
+            if (foreign.expiresAt <= now) {
+                this._foreignSessions.delete(id);
             }
-            return result;
         }
     }
-    
-    /* RPC API functions: administrative tasks */
 
-    // eslint-disable-next-line no-unused-vars
-    async listSessions(parameters, session) {
-        var sessionList = [];
-        for (var i in this.sessions) {
-            sessionList.push(this.sessions[i].serialize());
+    _getLoginThrottleKeys(parameters, session) {
+        let keys = ["session:" + session.getIdentifier()];
+        if (typeof parameters.username === "string") {
+            keys.push("username:" + parameters.username);
         }
-        return sessionList;
+        return keys;
     }
 
-    // eslint-disable-next-line no-unused-vars
-    async destroySession(parameters, session) {
-        return this._destroySession(parameters);
+    _isLoginThrottled(keys) {
+        let now = Math.floor(Date.now() / 1000);
+        for (let index = 0; index < keys.length; index++) {
+            let failures = this._loginFailures.get(keys[index]);
+            if ((typeof failures !== "undefined") && (failures.resetAt > now) && (failures.count >= this._opts.loginAttempts)) {
+                return true;
+            }
+        }
+        return false;
     }
 
-    registerRpcMethods(rpc, prefix="session") {
-        if (prefix!=="") prefix = prefix + "/";
+    _registerLoginFailure(keys) {
+        let now = Math.floor(Date.now() / 1000);
+        for (let index = 0; index < keys.length; index++) {
+            let failures = this._loginFailures.get(keys[index]);
+            if ((typeof failures === "undefined") || (failures.resetAt <= now)) {
+                failures = { count: 0, resetAt: now + this._opts.loginWindow };
+                this._loginFailures.set(keys[index], failures);
+            }
+            failures.count++;
+        }
+    }
+
+    _registerLoginMethods() {
+        // The login and logout methods are only available when at least one authenticator has been added
+        if ((this._router === null) || (this._router.listMethods().includes("login"))) {
+            return;
+        }
 
-        this._rpcMethodPrefix = prefix;
-        
         /*
-        * Create session
-        * 
-        * Returns a unique session token used to identify the session in further requests
-        * 
+        * Log in
+        *
+        * Associates the user account matching the supplied credentials with the session attached to the request
+        *
         */
-        rpc.addPublicMethod(
-            prefix+"create",
-            this.createSession.bind(this),
-            null,
+        this._router.addPublicMethod(
+            "login",
+            this.login.bind(this),
             {
-                type: "string",
-                description: "Session token"
+                type: "object",
+                properties: {
+                    provider: {
+                        type: "string",
+                        description: "Name of the authentication provider, for example \"password\" or \"apikey\""
+                    }
+                },
+                required: ["provider"],
+                additionalProperties: true,
+                description: "Authentication provider and the credentials it expects, for example a username and password or a key"
+            },
+            {
+                type: "object",
+                properties: {
+                    user: {
+                        type: "object",
+                        description: "The user account associated with the session"
+                    },
+                    token: {
+                        type: "string",
+                        description: "Session token to use for further requests"
+                    }
+                },
+                required: ["user", "token"]
+            },
+            {
+                summary: "Log in",
+                description: "Associates the user account matching the supplied credentials with the session attached to the request"
             }
         );
+
+        /*
+        * Log out
+        *
+        * Removes the user account associated with the session attached to the request
+        *
+        */
+        this._router.addPublicMethod(
+            "logout",
+            this.logout.bind(this),
+            null,
+            {
+                type: "object",
+                properties: {
+                    token: {
+                        type: "string",
+                        description: "Session token to use for further requests"
+                    }
+                },
+                required: ["token"]
+            },
+            {
+                summary: "Log out",
+                description: "Removes the user account associated with the session attached to the request"
+            }
+        );
+    }
+    
+    /* System functions */
+
+    _validatePush(subject, message) {
+        if ((this._opts.pushValidation === "off") || (this._rpc === null)) {
+            return;
+        }
+        try {
+            this._rpc.validatePushMessage(subject, message);
+        } catch (error) {
+            if (this._opts.pushValidation === "strict") {
+                throw error;
+            }
+            console.error(error.message, error.data);
+        }
+    }
+
+    _getPushTargets(target) {
+        // Returns the sessions and optionally the connection identifier a push message is delivered to
+        if (target === null) {
+            return { sessions: this._store.list(), connection: null };
+        }
+        if (typeof target === "function") {
+            return { sessions: this._store.list().filter(target), connection: null };
+        }
+        if (typeof target.session === "string") {
+            let session = this._store.get(target.session);
+            return { sessions: (session !== null) ? [session] : [], connection: null };
+        }
+        if ((typeof target.user === "object") && (target.user !== null)) {
+            return { sessions: this._store.list().filter(session => this._matchesUser(session, target.user)), connection: null };
+        }
+        if (typeof target.connection !== "undefined") {
+            let identifier = (typeof target.connection === "string") ? target.connection : target.connection.smIdentifier;
+            return { sessions: this._store.list().filter(session => session.hasConnection(identifier)), connection: identifier };
+        }
+        throw Error("Expected the push target to be null, a function or an object with a session, user or connection");
+    }
+
+    _isPushTarget(session, target) {
+        // Checks if a session is targeted by a push message, used when replaying messages
+        if (target === null) {
+            return true;
+        }
+        if (typeof target === "function") {
+            return target(session);
+        }
+        if (typeof target.session === "string") {
+            return session.getIdentifier() === target.session;
+        }
+        if ((typeof target.user === "object") && (target.user !== null)) {
+            return this._matchesUser(session, target.user);
+        }
+        return false; // Messages for a single connection are not replayed, reconnecting results in a new connection
+    }
+
+    _recordPush(subject, message, target, sequence = null) {
+        // Assigns the next sequence number of the topic to a push message, or records the sequence number assigned by the
+        // process which published the message, and keeps the message for replay
+        let history = this._pushHistory.get(subject);
+        if (typeof history === "undefined") {
+            history = { sequence: 0, messages: [] };
+            this._pushHistory.set(subject, history);
+        }
+        if (sequence === null) {
+            sequence = history.sequence + 1;
+        }
+        // Numbers never decrease, so that every process numbers its next message after all messages it has seen
+        history.sequence = Math.max(history.sequence, sequence);
+        if ((this._opts.replayBufferSize > 0) && ((target === null) || (typeof target.connection === "undefined"))) {
+            // Kept in order of sequence number, messages of other processes may arrive after newer local messages
+            let index = history.messages.length;
+            while ((index > 0) && (history.messages[index - 1].sequence > sequence)) {
+                index--;
+            }
+            history.messages.splice(index, 0, { sequence: sequence, message: message, target: target });
+            if (history.messages.length > this._opts.replayBufferSize) {
+                history.messages.shift();
+            }
+        }
+        return sequence;
+    }
+
+    async push(subject, message, target = null) {
+        // Send a push message to the subscribed connections of all sessions (target null), of the sessions matching a
+        // function (session) => boolean, of a session ({ session: id }), of the sessions of a user ({ user: { name: "alice" } })
+        // or to a single connection ({ connection: connection or identifier }). Returns the amount of sessions and connections
+        // in this process the message was delivered to and the amount of connections for which sending failed.
+        this._validatePush(subject, message);
+        // The sequence number is assigned here and published with the message, so that all processes use the same number
+        let targets = this._getPushTargets(target);
+        let sequence = this._recordPush(subject, message, target);
+        let result = await this._deliverPush(subject, message, targets, sequence);
+        // Functions and connections only exist in this process, messages for all sessions, a session or a user are published to the other processes
+        if ((this._opts.broker !== null) && ((target === null) || (typeof target.session === "string") || ((typeof target.user === "object") && (target.user !== null)))) {
+            this._opts.broker.publish({
+                origin: this._nodeIdentifier,
+                subject: subject,
+                message: message,
+                target: target,
+                sequence: sequence
+            });
+        }
+        return result;
+    }
+
+    _onBrokerMessage(envelope) {
+        // Deliver a push message published by another session manager to the sessions in this process
+        if (envelope.origin === this._nodeIdentifier) {
+            return;
+        }
+        let targets;
+        try {
+            targets = this._getPushTargets(envelope.target);
+        } catch (error) {
+            console.error("Received a push message with an invalid target from the broker", error);
+            return;
+        }
+        let sequence = this._recordPush(envelope.subject, envelope.message, envelope.target, (typeof envelope.sequence === "number") ? envelope.sequence : null);
+        this._deliverPush(envelope.subject, envelope.message, targets, sequence).catch((error) => {
+            console.error("Failed to deliver push message received from the broker", error);
+        });
+    }
+
+    async _deliverPush(subject, message, targets, sequence) {
+        let result = { sessions: 0, delivered: 0, failed: 0 };
+        let deliveries = await Promise.all(targets.sessions.map(session => session.push(subject, message, targets.connection, sequence)));
+        for (let index = 0; index < deliveries.length; index++) {
+            if (deliveries[index].delivered > 0) {
+                result.sessions++;
+            }
+            result.delivered += deliveries[index].delivered;
+            result.failed += deliveries[index].failed;
+        }
+        return result;
+    }
+    
+    getSession(token) {
+        if (typeof token !== "string") {
+            return null;
+        }
+        if (this.tokens !== null) {
+            // Session identifiers are readable from the signed tokens, accepting them would bypass expiry and key removal
+            return this._getSessionFromSignedToken(token);
+        }
+        let session = this._store.get(token);
+        if ((session !== null) && session.isExpired()) {
+            // Expired sessions are rejected immediately instead of waiting for the garbage collector
+            this._destroySession(token, "expire");
+            return null;
+        }
+        return session;
+    }
+
+    getSessions() {
+        return this._store.list();
+    }
+
+    get sessions() {
+        // Legacy compatibility: the sessions used to be stored in an array
+        return this._store.list();
+    }
+
+    close() {
+        // Stops the garbage collector and the session store, writing pending changes
+        if (this._gcInterval !== null) {
+            clearInterval(this._gcInterval);
+            this._gcInterval = null;
+        }
+        this._store.close();
+        if (this._opts.broker !== null) {
+            this._opts.broker.unsubscribe(this._onBrokerMessage);
+        }
+    }
+
+    setPublicMethods(methods) {
+        this._publicMethods = methods;
+    }
+    
+    setUserSchema(schema) {
+        this.userSchema = schema;
+    }
+
+    addCreateHook(hook) {
+        // Add a function called as (session, parameters, connection) when a session is created, the hook may enrich the
+        // session (for example by adding permissions) or veto the creation by throwing an error or by returning false
+        if (typeof hook !== "function") {
+            throw Error("Expected the hook to be a function");
+        }
+        this._createHooks.push(hook);
+    }
+
+    addAuthenticator(authenticator) {
+        // Add an authenticator, selected by its name using the "provider" parameter of the "session/login" method
+        if ((typeof authenticator !== "object") || (authenticator === null) || (typeof authenticator.name !== "string") || (typeof authenticator.authenticate !== "function")) {
+            throw Error("Expected the authenticator to be an object with a name and an authenticate function");
+        }
+        this._authenticators[authenticator.name] = authenticator;
+        this._registerLoginMethods();
+    }
+
+    removeAuthenticator(name) {
+        if (!(name in this._authenticators)) {
+            return false;
+        }
+        delete this._authenticators[name];
+        return true;
+    }
+
+    /* RPC API functions: management of individual sessions */
+
+    // eslint-disable-next-line no-unused-vars
+    async createSession(parameters, session, connection = null) {
+        let newSession = new Session(this._publicMethods.slice(), this._rpcMethodPrefix, this.permissions, this._opts.timeout, this._opts.maxAge); // Copy the list of public methods, permissions can be changed per session
+        for (let index = 0; index < this._createHooks.length; index++) {
+            if (await this._createHooks[index](newSession, parameters, connection) === false) {
+                throw new Error("Session creation denied");
+            }
+        }
+        this._forwardEvents(newSession);
+        this._store.set(newSession);
+        this.emit("create", newSession);
+        this._queueExpiry(newSession);
+        return this.issueToken(newSession);
+    }
+
+    async destroyCurrentSession(parameters, session) {
+        if (session === null) {
+            return false;
+        }
+        if (!this._destroySession(session.getIdentifier())) {
+            // The session may exist in another process, make sure its signed tokens are no longer accepted here
+            this._revokeTokens(session.getIdentifier());
+        }
+        return true;
+    }
+
+    _rotateAfterLogin(session) {
+        // Sessions are already rotated by setUser when rotating on every user change
+        if (this._opts.rotateOnLogin && (!this._opts.rotateOnUserChange)) {
+            this.rotateSession(session);
+        }
+    }
+
+    async login(parameters, session, connection) {
+        if (session === null) {
+            throw new Error("No session");
+        }
+        if (!(parameters.provider in this._authenticators)) {
+            throw new Error("Unknown authentication provider");
+        }
+        let throttleKeys = this._getLoginThrottleKeys(parameters, session);
+        if (this._isLoginThrottled(throttleKeys)) {
+            throw new RpcError(loginErrors.throttled.message, loginErrors.throttled.code, null, loginErrors.throttled.httpStatus);
+        }
+        let user = await this._authenticators[parameters.provider].authenticate(parameters, session, connection);
+        if ((typeof user !== "object") || (user === null)) {
+            this._registerLoginFailure(throttleKeys);
+            throw new RpcError(loginErrors.credentials.message, loginErrors.credentials.code, null, loginErrors.credentials.httpStatus);
+        }
+        for (let index = 0; index < throttleKeys.length; index++) {
+            this._loginFailures.delete(throttleKeys[index]);
+        }
+        session.setUser(user);
+        this._rotateAfterLogin(session);
+        return {
+            user: session.getUser(),
+            token: this.issueToken(session)
+        };
+    }
+
+    // eslint-disable-next-line no-unused-vars
+    async logout(parameters, session) {
+        if (session === null) {
+            throw new Error("No session");
+        }
+        session.setUser(null);
+        this._rotateAfterLogin(session);
+        return {
+            token: this.issueToken(session)
+        };
+    }
+
+    // eslint-disable-next-line no-unused-vars
+    async rotate(parameters, session) {
+        if (session === null) {
+            throw new Error("No session");
+        }
+        return this.rotateSession(session);
+    }
+
+    // eslint-disable-next-line no-unused-vars
+    async refreshToken(parameters, session) {
+        if (session === null) {
+            throw new Error("No session");
+        }
+        return this.issueToken(session);
+    }
+    
+    async state(parameters, session) {
+        if (session === null) {
+            throw new Error("No session");
+        }
+        return session.summarize();
+    }
+    
+    async listPermissionsForCurrentSession(parameters, session) {
+        if (session === null) {
+            throw new Error("No session");
+        }
+        return session.getPermissions();
+    }
+    
+    async getSubscriptions(parameters, session, connection) {
+        if (session === null) {
+            throw new Error("No session");
+        }
+        if (connection === null) {
+            throw new Error("No persistent connection");
+        }
+        if (typeof connection.smIdentifier !== "string") {
+            throw new Error("Connection doesn't have an identifier");
+        }
+        return session.getSubscriptions(connection.smIdentifier);
+    }
+    
+    _parseSubscriptions(parameters) {
+        // Converts the parameters of the subscribe and unsubscribe methods into a list of topics and filters
+        let items = Array.isArray(parameters) ? parameters : [parameters];
+        return items.map((item) => {
+            if (typeof item === "string") {
+                return { topic: item, filter: null };
+            }
+            return { topic: item.topic, filter: (typeof item.filter === "object") ? item.filter : null };
+        });
+    }
+
+    async subscribe(parameters, session, connection) {
+        if (session === null) {
+            throw new Error("No session");
+        }
+        if (connection === null) {
+            throw new Error("No persistent connection");
+        }
+        if (typeof connection.smIdentifier !== "string") {
+            throw new Error("Connection doesn't have an identifier");
+        }
+        if (!this._isStored(session)) {
+            // Push messages are delivered to the sessions in the store, subscriptions of other sessions would never receive them
+            throw new Error("Push messages can only be subscribed to in the process which created the session");
+        }
+        let subscriptions = this._parseSubscriptions(parameters);
+        for (let i = 0; i < subscriptions.length; i++) {
+            if (!session.checkPermission(subscriptions[i].topic)) {
+                throw new Error("Access denied");
+            }
+            if ((subscriptions[i].filter !== null) && (this._rpc !== null)) {
+                this._rpc.validatePushFilter(subscriptions[i].topic, subscriptions[i].filter);
+            }
+        }
+        let result = [];
+        for (let i = 0; i < subscriptions.length; i++) {
+            result.push(session.subscribe(subscriptions[i].topic, connection.smIdentifier, subscriptions[i].filter));
+        }
+        return Array.isArray(parameters) ? result : result[0];
+    }
+
+    async unsubscribe(parameters, session, connection) {
+        if (session === null) {
+            throw new Error("No session");
+        }
+        if (connection === null) {
+            throw new Error("No persistent connection");
+        }
+        if (typeof connection.smIdentifier !== "string") {
+            throw new Error("Connection doesn't have an identifier");
+        }
+        let subscriptions = this._parseSubscriptions(parameters);
+        let result = [];
+        for (let i = 0; i < subscriptions.length; i++) {
+            result.push(session.unsubscribe(subscriptions[i].topic, connection.smIdentifier, subscriptions[i].filter));
+        }
+        return Array.isArray(parameters) ? result : result[0];
+    }
+    
+    async resume(parameters, session, connection) {
+        // Returns the push messages sent since the last sequence number seen by the client, for the topics the connection is subscribed to
+        if (session === null) {
+            throw new Error("No session");
+        }
+        if (connection === null) {
+            throw new Error("No persistent connection");
+        }
+        if (typeof connection.smIdentifier !== "string") {
+            throw new Error("Connection doesn't have an identifier");
+        }
+        let requests = Array.isArray(parameters) ? parameters : [parameters];
+        let result = [];
+        for (let index = 0; index < requests.length; index++) {
+            let topic = requests[index].topic;
+            let lastSequence = requests[index].sequence;
+            let history = this._pushHistory.get(topic);
+            if (typeof history === "undefined") {
+                history = { sequence: 0, messages: [] };
+            }
+            // The gap can be filled when the first message after the last seen message is still available
+            let firstAvailable = (history.messages.length > 0) ? history.messages[0].sequence : (history.sequence + 1);
+            let messages = history.messages.filter((entry) => {
+                return (entry.sequence > lastSequence) && this._isPushTarget(session, entry.target) && session.isSubscribed(connection.smIdentifier, topic, entry.message);
+            });
+            result.push({
+                topic: topic,
+                sequence: history.sequence,
+                complete: (lastSequence <= history.sequence) && (lastSequence >= firstAvailable - 1),
+                messages: messages.map(entry => ({ sequence: entry.sequence, message: entry.message }))
+            });
+        }
+        return Array.isArray(parameters) ? result : result[0];
+    }
+    
+    /* RPC API functions: administrative tasks */
+
+    _inspectSession(session) {
+        // Returns the serialized session extended with information about its expiry and connections
+        return Object.assign(session.serialize(), {
+            dateExpires: session.getExpiresAt(),
+            dateExpiresAbsolute: session.getAbsoluteExpiresAt(),
+            connections: session.getConnections().length,
+            queues: this._getQueueMetrics(session)
+        });
+    }
+
+    _getQueueMetrics(session) {
+        // Returns the metrics of the outbound push message queues of the connections attached to a session
+        return session.getConnections().filter(connection => connection.smQueue instanceof OutboundQueue).map((connection) => {
+            return Object.assign({ connection: connection.smIdentifier }, connection.smQueue.getMetrics());
+        });
+    }
+
+    _matchesUser(session, filter) {
+        // Checks if every property of the filter equals the same property of the (summarized) user associated with the session
+        let user = session.getUser();
+        if ((typeof user !== "object") || (user === null)) {
+            return false;
+        }
+        for (let key in filter) {
+            if (user[key] !== filter[key]) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    _getManagedSession(id) {
+        let session = this._store.get(id);
+        if (session === null) {
+            throw new Error("Unknown session");
+        }
+        return session;
+    }
+
+    // eslint-disable-next-line no-unused-vars
+    async listSessions(parameters, session) {
+        parameters = Object.assign({
+            user: null,
+            anonymous: null,
+            minAge: null,
+            maxAge: null,
+            offset: 0,
+            limit: null
+        }, parameters);
+        let now = Math.floor(Date.now() / 1000);
+        let sessions = this._store.list().filter((item) => {
+            if ((parameters.user !== null) && (!this._matchesUser(item, parameters.user))) {
+                return false;
+            }
+            if ((parameters.anonymous !== null) && ((item.getUser() === null) !== parameters.anonymous)) {
+                return false;
+            }
+            let age = now - item.getCreatedAt();
+            if ((parameters.minAge !== null) && (age < parameters.minAge)) {
+                return false;
+            }
+            if ((parameters.maxAge !== null) && (age > parameters.maxAge)) {
+                return false;
+            }
+            return true;
+        });
+        let end = (parameters.limit !== null) ? (parameters.offset + parameters.limit) : sessions.length;
+        return sessions.slice(parameters.offset, end).map(item => this._inspectSession(item));
+    }
+
+    // eslint-disable-next-line no-unused-vars
+    async inspectSession(parameters, session) {
+        return this._inspectSession(this._getManagedSession(parameters));
+    }
+
+    // eslint-disable-next-line no-unused-vars
+    async destroySession(parameters, session) {
+        return this._destroySession(parameters);
+    }
+
+    // eslint-disable-next-line no-unused-vars
+    async grantPermission(parameters, session) {
+        return this._getManagedSession(parameters.id).addPermission(parameters.permission);
+    }
+
+    // eslint-disable-next-line no-unused-vars
+    async revokePermission(parameters, session) {
+        return this._getManagedSession(parameters.id).removePermission(parameters.permission);
+    }
+
+    // eslint-disable-next-line no-unused-vars
+    async listQueues(parameters, session) {
+        // Returns the outbound queue metrics of all connections, the connections with the most queued messages first
+        let minDepth = ((parameters !== null) && (typeof parameters.minDepth === "number")) ? parameters.minDepth : 0;
+        let result = [];
+        let sessions = this._store.list();
+        for (let index = 0; index < sessions.length; index++) {
+            let queues = this._getQueueMetrics(sessions[index]);
+            for (let queueIndex = 0; queueIndex < queues.length; queueIndex++) {
+                if (queues[queueIndex].depth >= minDepth) {
+                    result.push(Object.assign({ session: sessions[index].getIdentifier() }, queues[queueIndex]));
+                }
+            }
+        }
+        return result.sort((a, b) => b.depth - a.depth);
+    }
+
+    // eslint-disable-next-line no-unused-vars
+    async kickSession(parameters, session) {
+        return this._getManagedSession(parameters).closeConnections();
+    }
+
+    // eslint-disable-next-line no-unused-vars
+    async pushToSessions(parameters, session) {
+        // Push a message to a single session or to all sessions of a user, returns the amount of sessions the message was delivered to
+        let target;
+        if (typeof parameters.id === "string") {
+            this._getManagedSession(parameters.id);
+            target = { session: parameters.id };
+        } else if (typeof parameters.user === "object") {
+            target = { user: parameters.user };
+        } else {
+            throw new Error("Expected either a session identifier or a user");
+        }
+        let result = await this.push(parameters.subject, parameters.message, target);
+        return result.sessions;
+    }
+
+    registerRpcMethods(rpc, prefix="session") {
+        this._rpcMethodPrefix = (prefix !== "") ? (prefix + "/") : "";
+        this._rpc = rpc;
+
+        let router = new Router();
+
+        // A subscription is a topic, a pattern of topics or a topic combined with a filter
+        let subscriptionSchema = {
+            anyOf: [
+                {
+                    type: "string",
+                    maxLength: 256,
+                    description: "Topic or pattern of topics, \"*\" matches any part of a topic name, \"**\" also matches nested topics"
+                },
+                {
+                    type: "object",
+                    properties: {
+                        topic: {
+                            type: "string",
+                            maxLength: 256,
+                            description: "Topic"
+                        },
+                        filter: {
+                            type: "object",
+                            description: "Only messages of which the properties have these values are delivered, for example { \"customerId\": 42 }"
+                        }
+                    },
+                    required: ["topic", "filter"],
+                    description: "Topic with a filter"
+                }
+            ]
+        };
         
         /*
-        * Destroy the current session
-        * 
-        * Destroys the session attached to the request
-        * 
+        * Create session
+        * 
+        * Returns a unique session token used to identify the session in further requests
+        * 
+        */
+        router.addPublicMethod(
+            "create",
+            this.createSession.bind(this),
+            null,
+            {
+                type: "string",
+                description: "Session token"
+            },
+            {
+                summary: "Create session",
+                description: "Returns a unique session token used to identify the session in further requests"
+            }
+        );
+        
+        /*
+        * Destroy the current session
+        * 
+        * Destroys the session attached to the request
+        * 
+        */
+        router.addPublicMethod(
+            "destroy",
+            this.destroyCurrentSession.bind(this),
+            null,
+            {
+                type: "boolean",
+                description: "True when the session has succesfully been destroyed, false when the session could not be destroyed"
+            },
+            {
+                summary: "Destroy the current session",
+                description: "Destroys the session attached to the request"
+            }
+        );
+
+        /*
+        * Rotate the session token
+        *
+        * Gives the session attached to the request a new token, the previous token is no longer accepted
+        *
         */
-        rpc.addPublicMethod(
-            prefix+"destroy",
-            this.destroyCurrentSession.bind(this),
+        router.addPublicMethod(
+            "rotate",
+            this.rotate.bind(this),
             null,
             {
-                type: "boolean",
-                description: "True when the session has succesfully been destroyed, false when the session could not be destroyed"
+                type: "string",
+                description: "Session token"
+            },
+            {
+                summary: "Rotate the session token",
+                description: "Gives the session attached to the request a new token, the previous token is no longer accepted"
             }
         );
-        
+
+        if (this.tokens !== null) {
+            /*
+            * Refresh the session token
+            *
+            * Returns a new signed token for the session attached to the request, with a renewed lifetime
+            *
+            */
+            router.addPublicMethod(
+                "token",
+                this.refreshToken.bind(this),
+                null,
+                {
+                    type: "string",
+                    description: "Signed session token"
+                },
+                {
+                    summary: "Refresh the session token",
+                    description: "Returns a new signed token for the session attached to the request, with a renewed lifetime"
+                }
+            );
+        }
+
         /*
         * Query the state of the current session
         * 
         * Returns the state of the session attached to the request
         * 
         */
-        rpc.addPublicMethod(
-            prefix + "state",
+        router.addPublicMethod(
+            "state",
             this.state.bind(this),
             null,
             {
@@ -460,15 +1571,24 @@ class SessionManager {
                         type: "number",
                         description: "Timestamp of the creation of this session"
                     },
+                    dateExpires: {
+                        type: ["number", "null"],
+                        description: "Timestamp of the moment this session expires when it is not used again, NULL when the session does not expire"
+                    },
+                    dateExpiresAbsolute: {
+                        type: ["number", "null"],
+                        description: "Timestamp of the moment this session expires regardless of use, NULL when the session has no maximum lifetime"
+                    },
                     subscriptions: {
-                        type: "array",
-                        items: {
-                            type: "string"
+                        type: "object",
+                        additionalProperties: {
+                            type: "array",
+                            items: subscriptionSchema
                         },
-                        description: "Push message topics to which this session is subscribed"
+                        description: "Push message topics to which this session is subscribed, per connection"
                     },
                     user: {
-                        type: "object",
+                        type: ["object", "null"],
                         description: "Serialized user or NULL when no user is available"
                     },
                     permissions: {
@@ -481,6 +1601,10 @@ class SessionManager {
                     }
                 },
                 required: ["dateCreated", "subscriptions", "user", "permissions"]
+            },
+            {
+                summary: "Query the state of the current session",
+                description: "Returns the state of the session attached to the request"
             }
         );
         
@@ -490,17 +1614,21 @@ class SessionManager {
         * Returns a list of permissions granted to the session attached to the request
         * 
         */
-        rpc.addPublicMethod(
-            prefix + "permissions",
+        router.addPublicMethod(
+            "permissions",
             this.listPermissionsForCurrentSession.bind(this),
             null,
             {
                 type: "array",
-                description: "List of methods which this session may call",
+                description: "List of methods which this session may call, with roles expanded",
                 items: {
                     type: "string",
-                    description: "Method which this session may call"
+                    description: "Method or pattern of methods which this session may call, or which this session may not call when prefixed with '!'"
                 }
+            },
+            {
+                summary: "Query permissions granted to the current session",
+                description: "Returns a list of permissions granted to the session attached to the request"
             }
         );
         
@@ -510,17 +1638,18 @@ class SessionManager {
         * Returns the list of topics subscribed to the connection of the session attached to the request
         * 
         */
-        rpc.addPublicMethod(
-            prefix + "push/subscriptions",
+        router.addPublicMethod(
+            "push/subscriptions",
             this.getSubscriptions.bind(this),
             null,
             {
                 type: "array",
                 description: "Array of topics which the session is subscribed to",
-                items: {
-                    type: "string",
-                    description: "Topic"
-                }
+                items: subscriptionSchema
+            },
+            {
+                summary: "Pushmessages: list of subscriptions",
+                description: "Returns the list of topics subscribed to the connection of the session attached to the request"
             }
         );
         
@@ -530,20 +1659,16 @@ class SessionManager {
         * Adds the supplied topic to the list of topics subscribed to the connection of the session attached to the request
         * 
         */
-        rpc.addPublicMethod(
-            prefix + "push/subscribe",
+        router.addPublicMethod(
+            "push/subscribe",
             this.subscribe.bind(this),
             {
                 anyOf: [
-                    {
-                        type: "string",
-                        description: "Topic"
-                    },
+                    subscriptionSchema.anyOf[0],
+                    subscriptionSchema.anyOf[1],
                     {
                         type: "array",
-                        items: {
-                            type: "string"
-                        },
+                        items: subscriptionSchema,
                         description: "Array containing topics"
                     }
                 ]
@@ -563,6 +1688,10 @@ class SessionManager {
                         }
                     }
                 ]
+            },
+            {
+                summary: "Pushmessages: subscribe to a topic",
+                description: "Adds the supplied topic to the list of topics subscribed to the connection of the session attached to the request"
             }
         );
         
@@ -572,8 +1701,8 @@ class SessionManager {
         * Removes the supplied topic to the list of topics subscribed to the connection of the session attached to the request
         * 
         */
-        rpc.addPublicMethod(
-            prefix + "push/unsubscribe",
+        router.addPublicMethod(
+            "push/unsubscribe",
             this.unsubscribe.bind(this),
             {
                 anyOf: [
@@ -581,10 +1710,41 @@ class SessionManager {
                         type: "string",
                         description: "Topic"
                     },
+                    {
+                        type: "object",
+                        properties: {
+                            topic: {
+                                type: "string",
+                                description: "Topic"
+                            },
+                            filter: {
+                                type: "object",
+                                description: "Filter of the subscription to remove, without a filter all subscriptions to the topic are removed"
+                            }
+                        },
+                        required: ["topic"],
+                        description: "Topic with a filter"
+                    },
                     {
                         type: "array",
                         items: {
-                            type: "string",
+                            anyOf: [
+                                {
+                                    type: "string"
+                                },
+                                {
+                                    type: "object",
+                                    properties: {
+                                        topic: {
+                                            type: "string"
+                                        },
+                                        filter: {
+                                            type: "object"
+                                        }
+                                    },
+                                    required: ["topic"]
+                                }
+                            ]
                         },
                         description: "Array containing topics"
                     }
@@ -604,48 +1764,292 @@ class SessionManager {
                         }
                     }
                 ]
+            },
+            {
+                summary: "Pushmessages: unsubscribe from a topic",
+                description: "Removes the supplied topic to the list of topics subscribed to the connection of the session attached to the request"
+            }
+        );
+
+        /*
+        * Pushmessages: resume after reconnecting
+        *
+        * Returns the push messages sent since the last sequence number seen by the client, for the topics subscribed to by the connection of the session attached to the request
+        *
+        */
+        let resumeRequestSchema = {
+            type: "object",
+            properties: {
+                topic: {
+                    type: "string",
+                    description: "Topic"
+                },
+                sequence: {
+                    type: "integer",
+                    minimum: 0,
+                    description: "Sequence number of the last message of the topic received by the client"
+                }
+            },
+            required: ["topic", "sequence"],
+            additionalProperties: false
+        };
+        let resumeResultSchema = {
+            type: "object",
+            properties: {
+                topic: {
+                    type: "string",
+                    description: "Topic"
+                },
+                sequence: {
+                    type: "integer",
+                    description: "Sequence number of the most recent message of the topic"
+                },
+                complete: {
+                    type: "boolean",
+                    description: "False when messages sent since the supplied sequence number are no longer available, the client has to reload its state"
+                },
+                messages: {
+                    type: "array",
+                    items: {
+                        type: "object",
+                        properties: {
+                            sequence: {
+                                type: "integer"
+                            },
+                            message: {}
+                        }
+                    },
+                    description: "Messages sent since the supplied sequence number, in order"
+                }
+            }
+        };
+        router.addPublicMethod(
+            "push/resume",
+            this.resume.bind(this),
+            {
+                anyOf: [
+                    resumeRequestSchema,
+                    {
+                        type: "array",
+                        items: resumeRequestSchema,
+                        description: "Array containing topics and sequence numbers"
+                    }
+                ]
+            },
+            {
+                anyOf: [
+                    resumeResultSchema,
+                    {
+                        type: "array",
+                        items: resumeResultSchema
+                    }
+                ]
+            },
+            {
+                summary: "Pushmessages: resume after reconnecting",
+                description: "Returns the push messages sent since the last sequence number seen by the client, for the topics subscribed to by the connection of the session attached to the request"
             }
         );
         
+        // Schemas shared by the management methods
+        let queueMetricsSchema = {
+            type: "object",
+            properties: {
+                connection: {
+                    type: "string",
+                    description: "Unique identifier of the connection"
+                },
+                depth: {
+                    type: "integer",
+                    description: "Amount of queued messages"
+                },
+                queuedBytes: {
+                    type: "integer",
+                    description: "Size of the queued messages in bytes"
+                },
+                bufferedAmount: {
+                    type: "integer",
+                    description: "Amount of bytes sent but not yet transmitted by the connection"
+                },
+                policy: {
+                    type: "string",
+                    description: "What happens when the queue is full: \"drop-oldest\", \"coalesce\" or \"disconnect\""
+                },
+                sent: {
+                    type: "integer",
+                    description: "Amount of messages sent"
+                },
+                dropped: {
+                    type: "integer",
+                    description: "Amount of messages dropped because the queue was full or the connection was closed"
+                },
+                coalesced: {
+                    type: "integer",
+                    description: "Amount of queued messages replaced by a newer message with the same topic"
+                },
+                failed: {
+                    type: "integer",
+                    description: "Amount of messages which could not be sent"
+                },
+                maxDepth: {
+                    type: "integer",
+                    description: "Largest amount of queued messages so far"
+                }
+            }
+        };
+
+        let managedSessionSchema = {
+            type: "object",
+            description: "Session",
+            properties: {
+                id: {
+                    type: "string",
+                    description: "Unique identifier of the session"
+                },
+                user: {
+                    type: ["object", "null"],
+                    description: "User account associated with the session"
+                },
+                dateCreated: {
+                    type: "number",
+                    description: "Timestamp of the creation of the session"
+                },
+                dateLastUsed: {
+                    type: "number",
+                    description: "Timestamp of the moment the session was last used"
+                },
+                dateExpires: {
+                    type: ["number", "null"],
+                    description: "Timestamp of the moment the session expires when it is not used again, NULL when the session does not expire"
+                },
+                dateExpiresAbsolute: {
+                    type: ["number", "null"],
+                    description: "Timestamp of the moment the session expires regardless of use, NULL when the session has no maximum lifetime"
+                },
+                timeout: {
+                    type: ["number", "null"],
+                    description: "Amount of seconds the session may be idle"
+                },
+                maxAge: {
+                    type: ["number", "null"],
+                    description: "Maximum amount of seconds the session may exist"
+                },
+                subscriptions: {
+                    type: "object",
+                    description: "Push message subscriptions for each connection",
+                    additionalProperties: {
+                        type: "array",
+                        items: subscriptionSchema
+                    }
+                },
+                permissions: {
+                    type: "array",
+                    items: {
+                        type: "string"
+                    }
+                },
+                connections: {
+                    type: "integer",
+                    description: "Amount of connections attached to the session"
+                },
+                queues: {
+                    type: "array",
+                    description: "Outbound push message queue of each connection attached to the session",
+                    items: queueMetricsSchema
+                }
+            }
+        };
+
+        let permissionChangeSchema = {
+            type: "object",
+            properties: {
+                id: {
+                    type: "string",
+                    description: "Unique identifier of the session"
+                },
+                permission: {
+                    type: "string",
+                    description: "Permission, for example \"orders/list\", \"orders/*\", \"!orders/delete\" or \"@admin\""
+                }
+            },
+            required: ["id", "permission"],
+            additionalProperties: false
+        };
+
         /*
-        * Management: list all active sessions
+        * Management: list sessions
         * 
-        * Returns a list of sessions
+        * Returns a list of sessions, optionally filtered by user or age and paginated
         * 
         */
-        rpc.addMethod(
-            prefix + "management/list",
+        router.addMethod(
+            "management/list",
             this.listSessions.bind(this),
-            null,
+            {
+                type: ["object", "null"],
+                description: "Filter and pagination, null lists all sessions",
+                properties: {
+                    user: {
+                        type: "object",
+                        description: "Only list sessions of which the user has the same values for these properties, for example { \"name\": \"alice\" }"
+                    },
+                    anonymous: {
+                        type: "boolean",
+                        description: "Only list sessions without (true) or with (false) a user"
+                    },
+                    minAge: {
+                        type: "integer",
+                        minimum: 0,
+                        description: "Only list sessions created at least this amount of seconds ago"
+                    },
+                    maxAge: {
+                        type: "integer",
+                        minimum: 0,
+                        description: "Only list sessions created at most this amount of seconds ago"
+                    },
+                    offset: {
+                        type: "integer",
+                        minimum: 0,
+                        description: "Amount of matching sessions to skip"
+                    },
+                    limit: {
+                        type: "integer",
+                        minimum: 1,
+                        description: "Maximum amount of sessions to return"
+                    }
+                },
+                additionalProperties: false
+            },
             {
                 type: "array",
-                description: "List of serialized sessions",
-                items: {
-                    type: "object",
-                    properties: {
-                        id: {
-                            type: "string"
-                        },
-                        user: {
+                description: "List of sessions",
+                items: managedSessionSchema
+            },
+            false,
+            {
+                summary: "Management: list sessions",
+                description: "Returns a list of sessions, optionally filtered by user or age and paginated"
+            }
+        );
 
-                        },
-                        dateCreated: {
-                            type: "number"
-                        },
-                        dateLastUsed: {
-                            type: "number"
-                        },
-                        subscriptions: {
-                            type: "string"
-                        },
-                        permissions: {
-                            type: "array",
-                            items: {
-                                type: "string"
-                            }
-                        },
-                    }
-                }
+        /*
+        * Management: inspect a session
+        *
+        * Returns the details of the session corresponding to the supplied session token
+        *
+        */
+        router.addMethod(
+            "management/get",
+            this.inspectSession.bind(this),
+            {
+                type: "string",
+                description: "Unique identifier of the session"
+            },
+            managedSessionSchema,
+            false,
+            {
+                summary: "Management: inspect a session",
+                description: "Returns the details of the session corresponding to the supplied session token"
             }
         );
         
@@ -655,8 +2059,8 @@ class SessionManager {
         * Destroys the session corresponding to the supplied session token
         * 
         */
-        rpc.addMethod(
-            prefix + "management/destroy",
+        router.addMethod(
+            "management/destroy",
             this.destroySession.bind(this),
             {
                 type: "string",
@@ -665,8 +2069,172 @@ class SessionManager {
             {
                 type: "boolean",
                 description: "True when a session was destroyed, false when no session with the supplied identifier exists"
+            },
+            false,
+            {
+                summary: "Management: destroy a session",
+                description: "Destroys the session corresponding to the supplied session token"
+            }
+        );
+
+        /*
+        * Management: grant a permission
+        *
+        * Adds a permission to the session corresponding to the supplied session token
+        *
+        */
+        router.addMethod(
+            "management/permissions/add",
+            this.grantPermission.bind(this),
+            permissionChangeSchema,
+            {
+                type: "boolean",
+                description: "True when the permission was added, false when the session already had the permission"
+            },
+            false,
+            {
+                summary: "Management: grant a permission",
+                description: "Adds a permission to the session corresponding to the supplied session token"
+            }
+        );
+
+        /*
+        * Management: revoke a permission
+        *
+        * Removes a permission from the session corresponding to the supplied session token
+        *
+        */
+        router.addMethod(
+            "management/permissions/remove",
+            this.revokePermission.bind(this),
+            permissionChangeSchema,
+            {
+                type: "boolean",
+                description: "True when the permission was removed, false when the session did not have the permission"
+            },
+            false,
+            {
+                summary: "Management: revoke a permission",
+                description: "Removes a permission from the session corresponding to the supplied session token"
+            }
+        );
+
+        /*
+        * Management: outbound queues
+        *
+        * Returns the outbound push message queue metrics of all connections, the connections with the most queued messages first
+        *
+        */
+        router.addMethod(
+            "management/queues",
+            this.listQueues.bind(this),
+            {
+                type: ["object", "null"],
+                properties: {
+                    minDepth: {
+                        type: "integer",
+                        minimum: 0,
+                        description: "Only list connections with at least this amount of queued messages"
+                    }
+                },
+                additionalProperties: false
+            },
+            {
+                type: "array",
+                items: {
+                    allOf: [
+                        queueMetricsSchema,
+                        {
+                            type: "object",
+                            properties: {
+                                session: {
+                                    type: "string",
+                                    description: "Unique identifier of the session"
+                                }
+                            }
+                        }
+                    ]
+                }
+            },
+            false,
+            {
+                summary: "Management: outbound queues",
+                description: "Returns the outbound push message queue metrics of all connections, the connections with the most queued messages first"
+            }
+        );
+
+        /*
+        * Management: close the connections of a session
+        *
+        * Closes the websocket connections attached to the session corresponding to the supplied session token, the session itself is kept
+        *
+        */
+        router.addMethod(
+            "management/kick",
+            this.kickSession.bind(this),
+            {
+                type: "string",
+                description: "Unique identifier of the session"
+            },
+            {
+                type: "integer",
+                description: "Amount of connections closed"
+            },
+            false,
+            {
+                summary: "Management: close the connections of a session",
+                description: "Closes the websocket connections attached to the session corresponding to the supplied session token, the session itself is kept"
+            }
+        );
+
+        /*
+        * Management: push a message
+        *
+        * Pushes a message to a single session or to all sessions of a user, only connections subscribed to the subject receive the message
+        *
+        */
+        router.addMethod(
+            "management/push",
+            this.pushToSessions.bind(this),
+            {
+                type: "object",
+                properties: {
+                    id: {
+                        type: "string",
+                        description: "Unique identifier of the session"
+                    },
+                    user: {
+                        type: "object",
+                        description: "Push to all sessions of which the user has the same values for these properties"
+                    },
+                    subject: {
+                        type: "string",
+                        description: "Subject of the push message"
+                    },
+                    message: {
+                        description: "Contents of the push message"
+                    }
+                },
+                required: ["subject", "message"],
+                additionalProperties: false
+            },
+            {
+                type: "integer",
+                description: "Amount of sessions the message was delivered to"
+            },
+            false,
+            {
+                summary: "Management: push a message",
+                description: "Pushes a message to a single session or to all sessions of a user, only connections subscribed to the subject receive the message"
             }
         );
+
+        this._router = router;
+        if (Object.keys(this._authenticators).length > 0) {
+            this._registerLoginMethods();
+        }
+
+        rpc.mount(prefix, router);
     }
 }
 
@@ -0,0 +1,176 @@
+/**
+ * Copyright 2023 Renze Nicolai
+ * SPDX-License-Identifier: MIT
+ */
+
+"use strict";
+
+const fs = require("fs");
+
+/*
+ * A session store keeps track of the sessions of a session manager. A store implements:
+ *  - load(deserialize): called once by the session manager, restores previously stored sessions using the supplied
+ *                       function, which converts a serialized session back into a session object
+ *  - get(id):           returns the session with the supplied identifier or null
+ *  - set(session):      adds a session, also called when a stored session changed
+ *  - delete(id):        removes the session with the supplied identifier, returns true when a session was removed
+ *  - list():            returns an array containing all sessions
+ *  - close():           stops background work and writes pending changes
+ *
+ * The functions are synchronous, because sessions are looked up for every request. A store backed by a database keeps the
+ * sessions in memory and writes changes in the background, like the file store does.
+ *
+ * Connections and push message subscriptions belong to the process and are never stored.
+ */
+
+class MemorySessionStore {
+    constructor() {
+        this._sessions = new Map();
+    }
+
+    // eslint-disable-next-line no-unused-vars
+    load(deserialize) {
+        // Nothing to restore
+    }
+
+    get(id) {
+        let session = this._sessions.get(id);
+        return (typeof session === "undefined") ? null : session;
+    }
+
+    set(session) {
+        this._sessions.set(session.getIdentifier(), session);
+    }
+
+    delete(id) {
+        return this._sessions.delete(id);
+    }
+
+    list() {
+        return Array.from(this._sessions.values());
+    }
+
+    close() {
+        // Nothing to clean up
+    }
+}
+
+class FileSessionStore extends MemorySessionStore {
+    // Keeps the sessions in memory and writes them to a JSON file at an interval. Only sessions which changed since the
+    // previous write are serialized again and the file is written in the background, the whole file is still rewritten.
+
+    constructor(opts = {}) {
+        super();
+
+        this._opts = Object.assign({
+            path: "sessions.json", // File in which the sessions are stored
+            interval: 5000 // Interval in milliseconds at which the sessions are written to the file, also captures changes like the moment of last use
+        }, opts);
+
+        this._interval = null;
+        this._records = new Map(); // Serialized sessions by identifier, as written to the file
+        this._changed = new Set(); // Identifiers of the sessions added, changed or removed since they were last serialized
+        this._modified = false; // True when the file doesn't contain the serialized sessions yet
+        this._writing = false;
+        this._closed = false;
+    }
+
+    load(deserialize) {
+        if (fs.existsSync(this._opts.path)) {
+            let records = JSON.parse(fs.readFileSync(this._opts.path, "utf8"));
+            for (let index = 0; index < records.length; index++) {
+                let session = deserialize(records[index]);
+                this._sessions.set(session.getIdentifier(), session);
+                this._records.set(session.getIdentifier(), JSON.stringify(session.serialize()));
+            }
+        }
+        if ((this._interval === null) && (this._opts.interval !== null)) {
+            this._interval = setInterval(this._flushPeriodically.bind(this), this._opts.interval);
+            this._interval.unref(); // Don't keep the process running just for writing the sessions
+        }
+    }
+
+    set(session) {
+        super.set(session);
+        this._changed.add(session.getIdentifier());
+    }
+
+    delete(id) {
+        this._changed.add(id);
+        return super.delete(id);
+    }
+
+    _serialize() {
+        // Serializes the sessions changed since the previous call
+        for (let id of this._changed) {
+            let session = this.get(id);
+            if (session !== null) {
+                this._records.set(id, JSON.stringify(session.serialize()));
+            } else {
+                this._records.delete(id);
+            }
+            this._modified = true;
+        }
+        this._changed.clear();
+    }
+
+    * _chunks(records) {
+        // Yields the contents of the file in parts, so that writing in the background doesn't join all sessions at once
+        yield "[";
+        for (let index = 0; index < records.length; index += 1000) {
+            yield ((index > 0) ? "," : "") + records.slice(index, index + 1000).join(",");
+        }
+        yield "]";
+    }
+
+    flush() {
+        // Write all sessions to the file, via a temporary file to prevent a corrupt file when the process stops while writing
+        this._serialize();
+        if ((!this._modified) && (!this._writing)) {
+            return;
+        }
+        let temporaryPath = this._opts.path + ".tmp";
+        fs.writeFileSync(temporaryPath, "[" + Array.from(this._records.values()).join(",") + "]");
+        fs.renameSync(temporaryPath, this._opts.path);
+        this._modified = false;
+    }
+
+    async _flushPeriodically() {
+        // Errors thrown from a timer would stop the process, a failed write is logged and retried at the next interval
+        if (this._writing) {
+            return;
+        }
+        this._serialize();
+        if (!this._modified) {
+            return;
+        }
+        this._modified = false;
+        this._writing = true;
+        let temporaryPath = this._opts.path + ".tmp-background"; // Not shared with flush, which may run while writing
+        try {
+            await fs.promises.writeFile(temporaryPath, this._chunks(Array.from(this._records.values())));
+            if (this._closed) {
+                // Closing wrote the sessions, including any changes made while writing
+                fs.unlinkSync(temporaryPath);
+            } else {
+                fs.renameSync(temporaryPath, this._opts.path);
+            }
+        } catch (error) {
+            this._modified = true;
+            console.error("Failed to write the sessions to \"" + this._opts.path + "\"", error);
+        } finally {
+            this._writing = false;
+        }
+    }
+
+    close() {
+        this._closed = true;
+        if (this._interval !== null) {
+            clearInterval(this._interval);
+            this._interval = null;
+        }
+        this.flush();
+    }
+}
+
+module.exports = { MemorySessionStore, FileSessionStore };
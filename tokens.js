@@ -0,0 +1,164 @@
+/**
+ * Copyright 2023 Renze Nicolai
+ * SPDX-License-Identifier: MIT
+ */
+
+"use strict";
+
+const crypto = require("crypto");
+
+/*
+ * Issues and verifies HMAC-SHA256 signed tokens in the JSON Web Token format. The header names the key used for
+ * signing ("kid"), which allows for rotating keys: tokens signed with an older key stay valid until that key is removed.
+ */
+
+class TokenSigner {
+    constructor(opts = {}) {
+        this._opts = Object.assign({
+            keys: {}, // Secrets used for signing and verifying tokens, by key identifier
+            activeKey: null // Identifier of the key used for signing new tokens, null uses the key added last
+        }, opts);
+
+        this._keys = new Map(); // A map, so that identifiers like "constructor" never match inherited properties
+        this._activeKey = null;
+
+        // Identifiers of revoked sessions, with the moment after which tokens for the session have expired anyway
+        this._revoked = new Map();
+
+        for (let id in this._opts.keys) {
+            this.addKey(id, this._opts.keys[id]);
+        }
+        if (this._opts.activeKey !== null) {
+            this.setActiveKey(this._opts.activeKey);
+        }
+    }
+
+    addKey(id, secret, activate = true) {
+        if ((typeof id !== "string") || (id.length < 1)) {
+            throw Error("Expected the key identifier to be a non-empty string");
+        }
+        if (((typeof secret !== "string") && (!Buffer.isBuffer(secret))) || (secret.length < 32)) {
+            throw Error("Expected the secret of key \"" + id + "\" to be a string or buffer of at least 32 characters");
+        }
+        this._keys.set(id, secret);
+        if (activate) {
+            this._activeKey = id;
+        }
+    }
+
+    setActiveKey(id) {
+        if (!this._keys.has(id)) {
+            throw Error("Unknown key \"" + id + "\"");
+        }
+        this._activeKey = id;
+    }
+
+    removeKey(id) {
+        // Tokens signed with a removed key are no longer accepted
+        if (!this._keys.has(id)) {
+            return false;
+        }
+        if (id === this._activeKey) {
+            throw Error("The active key can not be removed, activate another key first");
+        }
+        this._keys.delete(id);
+        return true;
+    }
+
+    _sign(keyId, data) {
+        return crypto.createHmac("sha256", this._keys.get(keyId)).update(data).digest("base64url");
+    }
+
+    sign(claims) {
+        if (this._activeKey === null) {
+            throw Error("No key available for signing tokens");
+        }
+        let header = Buffer.from(JSON.stringify({ alg: "HS256", typ: "JWT", kid: this._activeKey })).toString("base64url");
+        let payload = Buffer.from(JSON.stringify(claims)).toString("base64url");
+        return header + "." + payload + "." + this._sign(this._activeKey, header + "." + payload);
+    }
+
+    verify(token, now = Math.floor(Date.now() / 1000)) {
+        // Returns the claims of a valid token, or null when the token is malformed, has an invalid signature, has expired or has been revoked
+        if (typeof token !== "string") {
+            return null;
+        }
+        let parts = token.split(".");
+        if (parts.length !== 3) {
+            return null;
+        }
+        let header = null;
+        let claims = null;
+        try {
+            header = JSON.parse(Buffer.from(parts[0], "base64url").toString());
+            claims = JSON.parse(Buffer.from(parts[1], "base64url").toString());
+        } catch (error) {
+            return null;
+        }
+        if ((typeof header !== "object") || (header === null) || (header.alg !== "HS256") || (!this._keys.has(header.kid))) {
+            return null;
+        }
+        let expected = Buffer.from(this._sign(header.kid, parts[0] + "." + parts[1]));
+        let signature = Buffer.from(parts[2]);
+        if ((expected.length !== signature.length) || (!crypto.timingSafeEqual(expected, signature))) {
+            return null;
+        }
+        if ((typeof claims !== "object") || (claims === null) || (typeof claims.sid !== "string") || (typeof claims.exp !== "number") || (claims.exp <= now)) {
+            return null;
+        }
+        if (this.isRevoked(claims.sid, now)) {
+            return null;
+        }
+        return claims;
+    }
+
+    revoke(sessionId, until) {
+        // Reject tokens for a session, until is the moment after which all tokens issued for the session have expired
+        let now = Math.floor(Date.now() / 1000);
+        for (let [otherSessionId, otherUntil] of this._revoked) {
+            if (otherUntil <= now) {
+                this._revoked.delete(otherSessionId);
+            }
+        }
+        this._revoked.set(sessionId, until);
+    }
+
+    isRevoked(sessionId, now = Math.floor(Date.now() / 1000)) {
+        if (!this._revoked.has(sessionId)) {
+            return false;
+        }
+        if (this._revoked.get(sessionId) <= now) {
+            this._revoked.delete(sessionId); // Tokens for the session have expired, no need to remember the revocation
+            return false;
+        }
+        return true;
+    }
+
+    getRevocations() {
+        // Returns the revoked session identifiers and the moment until which they are revoked, for sharing with other processes
+        let result = {};
+        for (let [sessionId, until] of this._revoked) {
+            result[sessionId] = until;
+        }
+        return result;
+    }
+
+    importRevocations(revocations) {
+        // Merges the output of getRevocations of another process, so that sessions logged out or rotated there are rejected here as well
+        if ((typeof revocations !== "object") || (revocations === null)) {
+            throw Error("Expected the revocations to be an object");
+        }
+        let now = Math.floor(Date.now() / 1000);
+        for (let sessionId in revocations) {
+            let until = revocations[sessionId];
+            if ((typeof until !== "number") || (until <= now)) {
+                continue;
+            }
+            if ((!this._revoked.has(sessionId)) || (this._revoked.get(sessionId) < until)) {
+                this._revoked.set(sessionId, until);
+            }
+        }
+    }
+}
+
+module.exports = TokenSigner;
@@ -57,8 +57,10 @@ class Webserver {
         
     _onWsMessage(ws, data, isBinary) {
         let message = isBinary ? data : data.toString();
-        this._opts.application.handle(message, ws, this._ws).then((result) => {
-            ws.send(result);
+        this._opts.application.handle(message, ws).then((result) => {
+            if (result !== null) { // Notifications are not answered
+                ws.send(result);
+            }
         }).catch((error) => {
             ws.send(error);
         });
@@ -98,6 +100,11 @@ class Webserver {
             if (url === "/") {
                 if (method === "POST") {
                     this._opts.application.handle(body, null, token).then((result) => {
+                        if (result === null) { // Notifications are not answered
+                            response.writeHead(204);
+                            response.end();
+                            return;
+                        }
                         response.writeHead(200, {"Content-Type": "application/json"});
                         response.end(result);
                     }).catch((err) => {
@@ -137,8 +144,13 @@ class Webserver {
                     response.writeHead(200, {"Content-Type": "application/json"});
                     response.end(result);
                 }).catch((error) => {
-                    if (typeof error === "string") {
-                        response.writeHead(500, {"Content-Type": "application/json"});
+                    if ((typeof error === "object") && (error !== null) && (typeof error.body === "string")) {
+                        response.writeHead(error.httpStatus, {"Content-Type": "application/json"});
+                        response.end(error.body);
+                    } else if (typeof error === "string") {
+                        // Applications rejecting with only the response body
+                        let status = (typeof this._opts.application.getHttpStatus === "function") ? this._opts.application.getHttpStatus(error) : 500;
+                        response.writeHead(status, {"Content-Type": "application/json"});
                         response.end(error);
                     } else {
                         response.writeHead(500, {"Content-Type": "text/html"});